@@ -1,6 +1,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getPendingMigrations, migrateUp } = require('./migrator');
 
 const dbPath = process.env.DB_PATH || './database/school.db';
 const dbDir = path.dirname(dbPath);
@@ -10,12 +12,40 @@ if (!fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir, { recursive: true });
 }
 
+// Tracks the transaction (if any) the current async call chain is running in
+const transactionContext = new AsyncLocalStorage();
+
 class Database {
   constructor() {
     this.db = null;
+    this.queue = Promise.resolve();
   }
 
-  async init() {
+  async init({ migrate = false } = {}) {
+    await this.connect();
+
+    // Refuse to run against an out-of-date schema unless asked to upgrade it
+    const pending = await getPendingMigrations(this);
+    if (pending.length > 0) {
+      if (!migrate) {
+        throw new Error(
+          `Database has ${pending.length} pending migration(s): ${pending.map(m => m.name).join(', ')}. ` +
+          'Run "npm run migrate" or start with DB_AUTO_MIGRATE=true.'
+        );
+      }
+      await migrateUp(this);
+    }
+
+    // Insert default sections
+    await this.insertDefaultSections();
+
+    // Create default admin user
+    await this.createDefaultAdmin();
+
+    console.log('✅ Database ready');
+  }
+
+  async connect() {
     return new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(dbPath, (err) => {
         if (err) {
@@ -23,103 +53,17 @@ class Database {
           reject(err);
         } else {
           console.log('📊 Connected to SQLite database');
-          this.createTables().then(resolve).catch(reject);
+          resolve();
         }
       });
     });
   }
 
-  async createTables() {
-    const tables = [
-      // Students registration table
-      `CREATE TABLE IF NOT EXISTS students (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        student_name TEXT NOT NULL,
-        student_age INTEGER NOT NULL,
-        parent_name TEXT NOT NULL,
-        phone TEXT NOT NULL,
-        email TEXT,
-        section TEXT NOT NULL,
-        payment_plan TEXT NOT NULL,
-        comments TEXT,
-        registration_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        status TEXT DEFAULT 'pending',
-        payment_status TEXT DEFAULT 'unpaid',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Contact messages table
-      `CREATE TABLE IF NOT EXISTS contact_messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        phone TEXT,
-        subject TEXT NOT NULL,
-        message TEXT NOT NULL,
-        status TEXT DEFAULT 'unread',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Admin users table
-      `CREATE TABLE IF NOT EXISTS admin_users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        role TEXT DEFAULT 'admin',
-        last_login DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Sections information table
-      `CREATE TABLE IF NOT EXISTS sections (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        description TEXT,
-        capacity INTEGER DEFAULT 50,
-        current_enrollment INTEGER DEFAULT 0,
-        fee_termly DECIMAL(10,2),
-        fee_annual DECIMAL(10,2),
-        age_min INTEGER,
-        age_max INTEGER,
-        is_active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Payment records table
-      `CREATE TABLE IF NOT EXISTS payments (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        student_id INTEGER NOT NULL,
-        amount DECIMAL(10,2) NOT NULL,
-        payment_method TEXT,
-        payment_reference TEXT,
-        payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        academic_term TEXT,
-        status TEXT DEFAULT 'pending',
-        notes TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (student_id) REFERENCES students (id)
-      )`
-    ];
-
-    for (const table of tables) {
-      await this.run(table);
-    }
-
-    // Insert default sections
-    await this.insertDefaultSections();
-    
-    // Create default admin user
-    await this.createDefaultAdmin();
-    
-    console.log('✅ Database tables created successfully');
-  }
-
   async insertDefaultSections() {
+    // Only seed a fresh database; sections are managed from the admin panel after that
+    const { count } = await this.get('SELECT COUNT(*) as count FROM sections');
+    if (count > 0) return;
+
     const sections = [
       {
         name: 'Nursery',
@@ -198,40 +142,130 @@ class Database {
     );
   }
 
-  async run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          console.error('Database run error:', err);
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
+  // Add a column unless the table already has it
+  async addColumn(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  // Run a callback inside a transaction. Top-level transactions are queued so
+  // only one is open at a time; calling transaction() again from inside the
+  // callback (directly or through a helper using db) opens a savepoint instead.
+  async transaction(callback) {
+    const active = transactionContext.getStore();
+    if (active) {
+      return this.savepoint(active, callback);
+    }
+
+    return this.enqueue(() => {
+      const tx = this.createTransactionHandle();
+      return transactionContext.run(tx, async () => {
+        await this.execute('run', 'BEGIN IMMEDIATE TRANSACTION');
+        try {
+          const result = await callback(tx);
+          await this.execute('run', 'COMMIT');
+          return result;
+        } catch (error) {
+          await this.execute('run', 'ROLLBACK');
+          throw error;
         }
       });
     });
   }
 
+  // Run a callback outside any open transaction, for background work
+  // started from code that may be running inside one
+  detach(callback) {
+    return transactionContext.exit(callback);
+  }
+
+  async savepoint(tx, callback) {
+    const name = `sp_${++tx.depth}`;
+    await this.execute('run', `SAVEPOINT ${name}`);
+    try {
+      const result = await callback(tx);
+      await this.execute('run', `RELEASE ${name}`);
+      return result;
+    } catch (error) {
+      await this.execute('run', `ROLLBACK TO ${name}`);
+      await this.execute('run', `RELEASE ${name}`);
+      throw error;
+    } finally {
+      tx.depth--;
+    }
+  }
+
+  createTransactionHandle() {
+    return {
+      depth: 0,
+      run: (sql, params) => this.execute('run', sql, params),
+      get: (sql, params) => this.execute('get', sql, params),
+      all: (sql, params) => this.execute('all', sql, params),
+      transaction: (callback) => this.transaction(callback)
+    };
+  }
+
+  // Run tasks one after another so queries never interleave with an open transaction
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Queries made inside a transaction run immediately; all others wait their turn
+  query(method, sql, params) {
+    if (transactionContext.getStore()) {
+      return this.execute(method, sql, params);
+    }
+    return this.enqueue(() => this.execute(method, sql, params));
+  }
+
+  async run(sql, params = []) {
+    return this.query('run', sql, params);
+  }
+
   async get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          console.error('Database get error:', err);
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    return this.query('get', sql, params);
   }
 
   async all(sql, params = []) {
+    return this.query('all', sql, params);
+  }
+
+  // Read a query's rows in batches so large result sets never sit in memory
+  // at once. Batches are paged by a unique key rather than an offset, so rows
+  // added or removed between batches can't shift the pages and make rows
+  // repeat or go missing. Each batch waits its turn in the queue like any
+  // other query, so a slow consumer doesn't hold up other requests. The query
+  // must select `key` and have no ORDER BY or LIMIT of its own.
+  async *iterate(sql, params = [], { key = 'id', order = 'ASC', batchSize = 500 } = {}) {
+    const descending = order.toUpperCase() === 'DESC';
+    let last;
+
+    for (;;) {
+      const after = last === undefined ? '' : `WHERE ${key} ${descending ? '<' : '>'} ?`;
+      const rows = await this.all(
+        `SELECT * FROM (${sql}) ${after} ORDER BY ${key} ${descending ? 'DESC' : 'ASC'} LIMIT ?`,
+        last === undefined ? [...params, batchSize] : [...params, last, batchSize]
+      );
+      yield* rows;
+      if (rows.length < batchSize) return;
+      last = rows[rows.length - 1][key];
+    }
+  }
+
+  execute(method, sql, params = []) {
     return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
+      this.db[method](sql, params, function(err, result) {
         if (err) {
-          console.error('Database all error:', err);
+          console.error(`Database ${method} error:`, err);
           reject(err);
+        } else if (method === 'run') {
+          resolve({ id: this.lastID, changes: this.changes });
         } else {
-          resolve(rows);
+          resolve(result);
         }
       });
     });
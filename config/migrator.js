@@ -0,0 +1,81 @@
+const path = require('path');
+const fs = require('fs');
+
+const migrationsDir = path.join(__dirname, '..', 'database', 'migrations');
+
+// Load migration files named like 001_description.js, in version order
+const loadMigrations = () => fs.readdirSync(migrationsDir)
+  .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+  .sort()
+  .map(file => ({
+    version: file.split('_')[0],
+    name: path.basename(file, '.js'),
+    ...require(path.join(migrationsDir, file))
+  }));
+
+const ensureMigrationsTable = async (db) => {
+  await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+};
+
+const getAppliedMigrations = async (db) => {
+  await ensureMigrationsTable(db);
+  return db.all('SELECT * FROM schema_migrations ORDER BY version');
+};
+
+const getPendingMigrations = async (db) => {
+  const applied = new Set((await getAppliedMigrations(db)).map(migration => migration.version));
+  return loadMigrations().filter(migration => !applied.has(migration.version));
+};
+
+// Apply every pending migration, each in its own transaction
+const migrateUp = async (db) => {
+  const pending = await getPendingMigrations(db);
+
+  for (const migration of pending) {
+    await db.transaction(async () => {
+      await migration.up(db);
+      await db.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    });
+    console.log(`⬆️  Applied migration ${migration.name}`);
+  }
+
+  return pending;
+};
+
+// Roll back the most recently applied migrations
+const migrateDown = async (db, steps = 1) => {
+  const migrations = loadMigrations();
+  const applied = (await getAppliedMigrations(db)).reverse().slice(0, steps);
+  const rolledBack = [];
+
+  for (const { version } of applied) {
+    const migration = migrations.find(item => item.version === version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${version} not found`);
+    }
+
+    await db.transaction(async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    console.log(`⬇️  Rolled back migration ${migration.name}`);
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+};
+
+module.exports = {
+  loadMigrations,
+  getAppliedMigrations,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,61 @@
+// Permissions that can be granted to staff roles
+const PERMISSIONS = [
+  'dashboard:read',
+  'registrations:read',
+  'registrations:approve',
+  'registrations:import',
+  'students:write',
+  'messages:read',
+  'messages:write',
+  'emails:manage',
+  'announcements:send',
+  'payments:read',
+  'payments:write',
+  'sections:write',
+  'academic:manage',
+  'data:export',
+  'staff:manage',
+  'audit:read'
+];
+
+// Named roles and the permissions each one grants
+const ROLE_PERMISSIONS = {
+  super_admin: PERMISSIONS,
+  admin: PERMISSIONS.filter(permission => !['staff:manage', 'audit:read'].includes(permission)),
+  registrar: [
+    'dashboard:read',
+    'registrations:read',
+    'registrations:approve',
+    'students:write',
+    'messages:read',
+    'data:export'
+  ],
+  bursar: [
+    'dashboard:read',
+    'registrations:read',
+    'payments:read',
+    'payments:write',
+    'data:export'
+  ],
+  teacher: [
+    'registrations:read'
+  ],
+  receptionist: [
+    'messages:read',
+    'messages:write'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,87 @@
+// Tables the application started with. Uses IF NOT EXISTS so databases
+// created before migrations existed can adopt this as their baseline.
+module.exports = {
+  async up(db) {
+    // Students registration table
+    await db.run(`CREATE TABLE IF NOT EXISTS students (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_name TEXT NOT NULL,
+      student_age INTEGER NOT NULL,
+      parent_name TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      email TEXT,
+      section TEXT NOT NULL,
+      payment_plan TEXT NOT NULL,
+      comments TEXT,
+      registration_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      status TEXT DEFAULT 'pending',
+      payment_status TEXT DEFAULT 'unpaid',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Contact messages table
+    await db.run(`CREATE TABLE IF NOT EXISTS contact_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      phone TEXT,
+      subject TEXT NOT NULL,
+      message TEXT NOT NULL,
+      status TEXT DEFAULT 'unread',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Admin users table
+    await db.run(`CREATE TABLE IF NOT EXISTS admin_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT DEFAULT 'admin',
+      last_login DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Sections information table
+    await db.run(`CREATE TABLE IF NOT EXISTS sections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      description TEXT,
+      capacity INTEGER DEFAULT 50,
+      current_enrollment INTEGER DEFAULT 0,
+      fee_termly DECIMAL(10,2),
+      fee_annual DECIMAL(10,2),
+      age_min INTEGER,
+      age_max INTEGER,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Payment records table
+    await db.run(`CREATE TABLE IF NOT EXISTS payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id INTEGER NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      payment_method TEXT,
+      payment_reference TEXT,
+      payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      academic_term TEXT,
+      status TEXT DEFAULT 'pending',
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students (id)
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS payments');
+    await db.run('DROP TABLE IF EXISTS sections');
+    await db.run('DROP TABLE IF EXISTS admin_users');
+    await db.run('DROP TABLE IF EXISTS contact_messages');
+    await db.run('DROP TABLE IF EXISTS students');
+  }
+};
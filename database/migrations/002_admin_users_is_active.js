@@ -0,0 +1,10 @@
+// Lets super admins disable staff accounts
+module.exports = {
+  async up(db) {
+    await db.addColumn('admin_users', 'is_active', 'BOOLEAN DEFAULT 1');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE admin_users DROP COLUMN is_active');
+  }
+};
@@ -0,0 +1,10 @@
+// Queue position for registrations waiting on a full section
+module.exports = {
+  async up(db) {
+    await db.addColumn('students', 'waitlist_position', 'INTEGER');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE students DROP COLUMN waitlist_position');
+  }
+};
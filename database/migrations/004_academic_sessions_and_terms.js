@@ -0,0 +1,53 @@
+// Academic sessions, their terms, and section fees set per session
+module.exports = {
+  async up(db) {
+    // Academic sessions (school years)
+    await db.run(`CREATE TABLE IF NOT EXISTS academic_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Terms within an academic session
+    await db.run(`CREATE TABLE IF NOT EXISTS terms (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      is_current BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (session_id, name),
+      FOREIGN KEY (session_id) REFERENCES academic_sessions (id)
+    )`);
+
+    // Section fees set for a particular academic session
+    await db.run(`CREATE TABLE IF NOT EXISTS section_fees (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      section_id INTEGER NOT NULL,
+      session_id INTEGER NOT NULL,
+      fee_termly DECIMAL(10,2),
+      fee_annual DECIMAL(10,2),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (section_id, session_id),
+      FOREIGN KEY (section_id) REFERENCES sections (id),
+      FOREIGN KEY (session_id) REFERENCES academic_sessions (id)
+    )`);
+
+    await db.addColumn('students', 'term_id', 'INTEGER REFERENCES terms (id)');
+    await db.addColumn('payments', 'term_id', 'INTEGER REFERENCES terms (id)');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE payments DROP COLUMN term_id');
+    await db.run('ALTER TABLE students DROP COLUMN term_id');
+    await db.run('DROP TABLE IF EXISTS section_fees');
+    await db.run('DROP TABLE IF EXISTS terms');
+    await db.run('DROP TABLE IF EXISTS academic_sessions');
+  }
+};
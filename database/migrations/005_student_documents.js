@@ -0,0 +1,21 @@
+// Documents (birth certificates, photos, school records) attached to registrations
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS student_documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id INTEGER NOT NULL,
+      document_type TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      stored_name TEXT UNIQUE NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students (id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_student_documents_student ON student_documents (student_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS student_documents');
+  }
+};
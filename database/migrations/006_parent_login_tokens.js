@@ -0,0 +1,18 @@
+// One-time login links for the parent portal. Only a hash of each token is stored.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS parent_login_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT UNIQUE NOT NULL,
+      email TEXT,
+      phone TEXT,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS parent_login_tokens');
+  }
+};
@@ -0,0 +1,20 @@
+const { generateReferenceCode } = require('../../utils/references');
+
+// Non-guessable reference codes for registrations, backfilled for existing rows
+module.exports = {
+  async up(db) {
+    await db.addColumn('students', 'reference_code', 'TEXT');
+
+    const students = await db.all('SELECT id FROM students WHERE reference_code IS NULL');
+    for (const student of students) {
+      await db.run('UPDATE students SET reference_code = ? WHERE id = ?', [generateReferenceCode(), student.id]);
+    }
+
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_students_reference_code ON students (reference_code)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_students_reference_code');
+    await db.run('ALTER TABLE students DROP COLUMN reference_code');
+  }
+};
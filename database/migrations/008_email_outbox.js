@@ -0,0 +1,25 @@
+// Outbound email queue. Emails are stored here and delivered by a background
+// worker with retries, instead of being sent inline during requests.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS email_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      to_address TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      text_body TEXT,
+      html_body TEXT,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS email_outbox');
+  }
+};
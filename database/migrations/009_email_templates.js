@@ -0,0 +1,20 @@
+// Admin edits to the email templates. The defaults live in templates/email,
+// and a row here overrides the default until it is reset.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS email_templates (
+      name TEXT PRIMARY KEY,
+      subject TEXT NOT NULL,
+      heading TEXT,
+      html_body TEXT NOT NULL,
+      text_body TEXT NOT NULL,
+      updated_by INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (updated_by) REFERENCES admin_users (id)
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS email_templates');
+  }
+};
@@ -0,0 +1,21 @@
+// Replies staff send to contact messages, so each conversation is kept on record
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS contact_replies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      admin_id INTEGER,
+      body TEXT NOT NULL,
+      email_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES contact_messages (id),
+      FOREIGN KEY (admin_id) REFERENCES admin_users (id),
+      FOREIGN KEY (email_id) REFERENCES email_outbox (id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_contact_replies_message ON contact_replies (message_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS contact_replies');
+  }
+};
@@ -0,0 +1,47 @@
+// Bulk announcements to families, the delivery log for each recipient and the
+// addresses that have opted out of non-essential announcements
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS announcements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      message TEXT NOT NULL,
+      sections TEXT,
+      statuses TEXT,
+      payment_statuses TEXT,
+      is_essential BOOLEAN DEFAULT 0,
+      status TEXT DEFAULT 'draft',
+      scheduled_at DATETIME,
+      sent_at DATETIME,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES admin_users (id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_announcements_due ON announcements (status, scheduled_at)');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS announcement_recipients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      announcement_id INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      parent_name TEXT,
+      status TEXT DEFAULT 'pending',
+      error TEXT,
+      sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (announcement_id, email),
+      FOREIGN KEY (announcement_id) REFERENCES announcements (id)
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS email_unsubscribes (
+      email TEXT PRIMARY KEY,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS email_unsubscribes');
+    await db.run('DROP TABLE IF EXISTS announcement_recipients');
+    await db.run('DROP TABLE IF EXISTS announcements');
+  }
+};
@@ -0,0 +1,12 @@
+// The outbox also carries text messages now. channel says how each message is
+// delivered, and to_address holds a phone number for SMS.
+module.exports = {
+  async up(db) {
+    await db.addColumn('email_outbox', 'channel', "TEXT DEFAULT 'email'");
+  },
+
+  async down(db) {
+    await db.run("DELETE FROM email_outbox WHERE channel != 'email'");
+    await db.run('ALTER TABLE email_outbox DROP COLUMN channel');
+  }
+};
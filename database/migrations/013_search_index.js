@@ -0,0 +1,55 @@
+// Full-text search over students and contact messages. The FTS5 tables only
+// hold the index; the rows themselves stay in students and contact_messages,
+// and triggers keep the index in step with every insert, update and delete.
+const INDEXES = [
+  {
+    table: 'students',
+    index: 'students_fts',
+    columns: ['student_name', 'parent_name', 'phone', 'email', 'comments']
+  },
+  {
+    table: 'contact_messages',
+    index: 'contact_messages_fts',
+    columns: ['name', 'email', 'phone', 'subject', 'message']
+  }
+];
+
+module.exports = {
+  async up(db) {
+    for (const { table, index, columns } of INDEXES) {
+      const list = columns.join(', ');
+      const newValues = columns.map(column => `new.${column}`).join(', ');
+      const oldValues = columns.map(column => `old.${column}`).join(', ');
+
+      await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS ${index} USING fts5(
+        ${list},
+        content='${table}',
+        content_rowid='id',
+        tokenize='unicode61 remove_diacritics 2'
+      )`);
+
+      await db.run(`CREATE TRIGGER IF NOT EXISTS ${index}_insert AFTER INSERT ON ${table} BEGIN
+        INSERT INTO ${index} (rowid, ${list}) VALUES (new.id, ${newValues});
+      END`);
+      await db.run(`CREATE TRIGGER IF NOT EXISTS ${index}_delete AFTER DELETE ON ${table} BEGIN
+        INSERT INTO ${index} (${index}, rowid, ${list}) VALUES ('delete', old.id, ${oldValues});
+      END`);
+      await db.run(`CREATE TRIGGER IF NOT EXISTS ${index}_update AFTER UPDATE OF ${list} ON ${table} BEGIN
+        INSERT INTO ${index} (${index}, rowid, ${list}) VALUES ('delete', old.id, ${oldValues});
+        INSERT INTO ${index} (rowid, ${list}) VALUES (new.id, ${newValues});
+      END`);
+
+      // Index the rows that already exist
+      await db.run(`INSERT INTO ${index} (${index}) VALUES ('rebuild')`);
+    }
+  },
+
+  async down(db) {
+    for (const { index } of INDEXES) {
+      await db.run(`DROP TRIGGER IF EXISTS ${index}_insert`);
+      await db.run(`DROP TRIGGER IF EXISTS ${index}_delete`);
+      await db.run(`DROP TRIGGER IF EXISTS ${index}_update`);
+      await db.run(`DROP TABLE IF EXISTS ${index}`);
+    }
+  }
+};
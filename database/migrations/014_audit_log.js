@@ -0,0 +1,34 @@
+// Record of who changed what in the admin area. Rows can only be added:
+// triggers reject any update or delete, so the log can't be edited after the fact.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      actor_username TEXT,
+      actor_role TEXT,
+      action TEXT NOT NULL,
+      entity_type TEXT,
+      entity_id TEXT,
+      before_value TEXT,
+      after_value TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (actor_id) REFERENCES admin_users (id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id)');
+
+    await db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END`);
+    await db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS audit_log');
+  }
+};
@@ -0,0 +1,37 @@
+// Enrolled pupils, kept apart from their applications in students. A record
+// is created when an approved registration is enrolled and holds the
+// admission number and the pupil's profile.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS student_records (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      registration_id INTEGER UNIQUE NOT NULL,
+      admission_number TEXT UNIQUE NOT NULL,
+      full_name TEXT NOT NULL,
+      date_of_birth DATE,
+      gender TEXT,
+      section TEXT NOT NULL,
+      class_placement TEXT,
+      guardian_name TEXT,
+      guardian_phone TEXT,
+      guardian_email TEXT,
+      guardian_address TEXT,
+      medical_notes TEXT,
+      status TEXT DEFAULT 'enrolled',
+      enrolled_on DATE NOT NULL,
+      left_on DATE,
+      leaving_reason TEXT,
+      transferred_to TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (registration_id) REFERENCES students (id),
+      FOREIGN KEY (created_by) REFERENCES admin_users (id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_student_records_section ON student_records (section, status)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS student_records');
+  }
+};
@@ -0,0 +1,11 @@
+// Announcement emails go through the outbox. Each recipient points at their
+// queued email, whose status is the recipient's delivery status.
+module.exports = {
+  async up(db) {
+    await db.addColumn('announcement_recipients', 'email_id', 'INTEGER REFERENCES email_outbox (id)');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE announcement_recipients DROP COLUMN email_id');
+  }
+};
@@ -0,0 +1,34 @@
+const { redact, recordAudit } = require('../utils/audit');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Previews render something without changing anything
+const READ_ONLY_PATHS = /\/preview$/;
+
+// Log every successful change made by signed-in staff. Routes that record a
+// more detailed entry themselves (with before and after values) are skipped.
+// Runs for every API request; staff are identified once the response is sent,
+// after the route's own authentication has run.
+const auditStaffChanges = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => {
+    if (!req.user || req.auditRecorded || res.statusCode >= 400) return;
+
+    const routePath = req.route ? req.baseUrl + req.route.path : req.originalUrl.split('?')[0];
+    if (READ_ONLY_PATHS.test(routePath)) return;
+
+    recordAudit(req, {
+      action: `${req.method} ${routePath}`,
+      entityType: req.baseUrl.split('/').pop() || null,
+      entityId: req.params.id || Object.values(req.params)[0],
+      after: redact(req.body)
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  auditStaffChanges
+};
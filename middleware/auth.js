@@ -1,4 +1,6 @@
 const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { hasPermission } = require('../config/roles');
 
 // Middleware to authenticate JWT tokens
 const authenticateToken = (req, res, next) => {
@@ -12,36 +14,80 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, payload) => {
+    // Parent portal sessions are signed with the same secret but are not staff tokens
+    if (err || payload.type === 'parent') {
       return res.status(403).json({
         success: false,
         message: 'Invalid or expired token'
       });
     }
 
-    req.user = user;
-    next();
+    try {
+      // Load the account on every request so disabling it or changing its
+      // role takes effect straight away, not when the token expires
+      const user = await db.get(
+        'SELECT id, username, role, is_active FROM admin_users WHERE id = ?',
+        [payload.id]
+      );
+
+      if (!user) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+
+      if (!user.is_active) {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been disabled'
+        });
+      }
+
+      req.user = { id: user.id, username: user.username, role: user.role };
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Authentication failed'
+      });
+    }
   });
 };
 
-// Middleware to check admin role
-const requireAdmin = (req, res, next) => {
-  if (!req.user || !['admin', 'super_admin'].includes(req.user.role)) {
-    return res.status(403).json({
+// Middleware to authenticate parent portal sessions
+const authenticateParent = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({
       success: false,
-      message: 'Admin access required'
+      message: 'Access token required'
     });
   }
-  next();
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, parent) => {
+    if (err || parent.type !== 'parent') {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    req.parent = parent;
+    next();
+  });
 };
 
-// Middleware to check super admin role
-const requireSuperAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'super_admin') {
+// Middleware factory to check the user's role grants every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every(permission => hasPermission(req.user.role, permission))) {
     return res.status(403).json({
       success: false,
-      message: 'Super admin access required'
+      message: 'You do not have permission to perform this action'
     });
   }
   next();
@@ -49,6 +95,6 @@ const requireSuperAdmin = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  requireSuperAdmin
+  authenticateParent,
+  requirePermission
 };
\ No newline at end of file
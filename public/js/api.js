@@ -3,11 +3,15 @@ const API_BASE_URL = '/api';
 
 // API Helper Functions
 class API {
+  // Extra headers sent with every request (e.g. the admin Authorization header)
+  static defaultHeaders = {};
+
   static async request(endpoint, options = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
     const config = {
       headers: {
         'Content-Type': 'application/json',
+        ...API.defaultHeaders,
         ...options.headers
       },
       ...options
@@ -68,8 +72,36 @@ class RegistrationAPI {
     return API.get(`/registration/${id}`);
   }
 
-  static async updateStatus(id, status) {
-    return API.patch(`/registration/${id}/status`, { status });
+  static async getStatus(reference, phone) {
+    return API.get(`/registration/status/${encodeURIComponent(reference)}?${new URLSearchParams({ phone })}`);
+  }
+
+  // options: { reason, notify } - set notify to false to skip the family's email
+  static async updateStatus(id, status, options = {}) {
+    return API.patch(`/registration/${id}/status`, { status, ...options });
+  }
+
+  static async previewStatusEmail(id, status, reason) {
+    return API.post(`/registration/${id}/status/preview`, { status, reason });
+  }
+
+  // formData holds the registration phone number and the files to attach
+  static async uploadDocuments(reference, formData) {
+    const response = await fetch(`${API_BASE_URL}/registration/${encodeURIComponent(reference)}/documents`, {
+      method: 'POST',
+      body: formData
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Document upload failed');
+    }
+
+    return data;
+  }
+
+  static async getDocuments(id) {
+    return API.get(`/registration/${id}/documents`);
   }
 }
 
@@ -91,12 +123,29 @@ class ContactAPI {
   static async updateMessageStatus(id, status) {
     return API.patch(`/contact/${id}/status`, { status });
   }
+
+  static async replyToMessage(id, message) {
+    return API.post(`/contact/${id}/replies`, { message });
+  }
 }
 
 // Sections API
 class SectionsAPI {
-  static async getSections() {
-    return API.get('/sections');
+  static async getSections(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return API.get(`/sections${queryString ? '?' + queryString : ''}`);
+  }
+
+  static async createSection(sectionData) {
+    return API.post('/sections', sectionData);
+  }
+
+  static async updateSection(id, sectionData) {
+    return API.patch(`/sections/${id}`, sectionData);
+  }
+
+  static async deleteSection(id) {
+    return API.delete(`/sections/${id}`);
   }
 
   static async getSection(identifier) {
@@ -108,8 +157,108 @@ class SectionsAPI {
     return API.get(`/sections/${sectionName}/students${queryString ? '?' + queryString : ''}`);
   }
 
-  static async getSectionStats(sectionName) {
-    return API.get(`/sections/${sectionName}/stats`);
+  static async getSectionStats(sectionName, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return API.get(`/sections/${sectionName}/stats${queryString ? '?' + queryString : ''}`);
+  }
+
+  static async getWaitlist(sectionName) {
+    return API.get(`/sections/${sectionName}/waitlist`);
+  }
+
+  static async reorderWaitlist(sectionName, studentIds) {
+    return API.put(`/sections/${sectionName}/waitlist`, { studentIds });
+  }
+}
+
+// Student records API
+class StudentsAPI {
+  static async getStudents(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return API.get(`/students${queryString ? '?' + queryString : ''}`);
+  }
+
+  static async getStudent(id) {
+    return API.get(`/students/${id}`);
+  }
+
+  static async enroll(registrationId, profile = {}) {
+    return API.post('/students', { registrationId, ...profile });
+  }
+
+  static async updateProfile(id, profile) {
+    return API.patch(`/students/${id}`, profile);
+  }
+
+  static async withdraw(id, details = {}) {
+    return API.post(`/students/${id}/withdraw`, details);
+  }
+
+  static async transfer(id, details) {
+    return API.post(`/students/${id}/transfer`, details);
+  }
+
+  static async graduate(id, details = {}) {
+    return API.post(`/students/${id}/graduate`, details);
+  }
+}
+
+// Payments API
+class PaymentsAPI {
+  static async recordPayment(paymentData) {
+    return API.post('/payments', paymentData);
+  }
+
+  static async getPayments(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return API.get(`/payments${queryString ? '?' + queryString : ''}`);
+  }
+
+  static async getPayment(id) {
+    return API.get(`/payments/${id}`);
+  }
+
+  static async getStudentPayments(studentId) {
+    return API.get(`/payments/student/${studentId}`);
+  }
+
+  static async reversePayment(id, reason) {
+    return API.patch(`/payments/${id}/reverse`, { reason });
+  }
+
+  static async sendReminders(studentIds = null) {
+    return API.post('/payments/reminders', studentIds ? { studentIds } : {});
+  }
+}
+
+// Academic Sessions & Terms API
+class AcademicAPI {
+  static async getSessions() {
+    return API.get('/academic/sessions');
+  }
+
+  static async getCurrentTerm() {
+    return API.get('/academic/terms/current');
+  }
+
+  static async createSession(sessionData) {
+    return API.post('/academic/sessions', sessionData);
+  }
+
+  static async createTerm(sessionId, termData) {
+    return API.post(`/academic/sessions/${sessionId}/terms`, termData);
+  }
+
+  static async setCurrentTerm(termId) {
+    return API.patch(`/academic/terms/${termId}/current`);
+  }
+
+  static async getSessionFees(sessionId) {
+    return API.get(`/academic/sessions/${sessionId}/fees`);
+  }
+
+  static async setSectionFees(sessionId, sectionId, fees) {
+    return API.put(`/academic/sessions/${sessionId}/fees/${sectionId}`, fees);
   }
 }
 
@@ -119,8 +268,9 @@ class AdminAPI {
     return API.post('/admin/login', credentials);
   }
 
-  static async getDashboard() {
-    return API.get('/admin/dashboard');
+  static async getDashboard(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return API.get(`/admin/dashboard${queryString ? '?' + queryString : ''}`);
   }
 
   static async getProfile() {
@@ -131,8 +281,154 @@ class AdminAPI {
     return API.put('/admin/profile', profileData);
   }
 
-  static async exportData(type, format = 'json') {
-    return API.get(`/admin/export/${type}?format=${format}`);
+  static async exportData(type, format = 'json', filters = {}) {
+    const params = new URLSearchParams({ format, ...filters });
+    return API.get(`/admin/export/${type}?${params}`);
+  }
+
+  static async getAuditLog(params = {}) {
+    return API.get(`/admin/audit-log?${new URLSearchParams(params)}`);
+  }
+
+  static async search(q, params = {}) {
+    return API.get(`/admin/search?${new URLSearchParams({ q, ...params })}`);
+  }
+
+  // Checks the file unless dryRun is false, in which case the students are imported
+  static async importStudents(file, { dryRun = true, mapping } = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+
+    const response = await fetch(`${API_BASE_URL}/admin/import/students`, {
+      method: 'POST',
+      headers: API.defaultHeaders,
+      body: formData
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Student import failed');
+    }
+
+    return data;
+  }
+
+  static async getUsers() {
+    return API.get('/admin/users');
+  }
+
+  static async createUser(userData) {
+    return API.post('/admin/users', userData);
+  }
+
+  static async updateUserRole(id, role) {
+    return API.patch(`/admin/users/${id}/role`, { role });
+  }
+
+  static async setUserActive(id, isActive) {
+    return API.patch(`/admin/users/${id}/status`, { isActive });
+  }
+
+  static async resetUserPassword(id, newPassword) {
+    return API.post(`/admin/users/${id}/reset-password`, { newPassword });
+  }
+
+  static async deleteUser(id) {
+    return API.delete(`/admin/users/${id}`);
+  }
+
+  static async getOutbox(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return API.get(`/admin/outbox${queryString ? '?' + queryString : ''}`);
+  }
+
+  static async resendEmail(id) {
+    return API.post(`/admin/outbox/${id}/resend`);
+  }
+
+  static async getEmailTemplates() {
+    return API.get('/admin/email-templates');
+  }
+
+  static async getEmailTemplate(name) {
+    return API.get(`/admin/email-templates/${name}`);
+  }
+
+  static async updateEmailTemplate(name, template) {
+    return API.put(`/admin/email-templates/${name}`, template);
+  }
+
+  static async resetEmailTemplate(name) {
+    return API.delete(`/admin/email-templates/${name}`);
+  }
+
+  static async previewEmailTemplate(name, template = {}) {
+    return API.post(`/admin/email-templates/${name}/preview`, template);
+  }
+}
+
+// Announcements API
+class AnnouncementsAPI {
+  static async getAnnouncements(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return API.get(`/announcements${queryString ? '?' + queryString : ''}`);
+  }
+
+  static async getAnnouncement(id) {
+    return API.get(`/announcements/${id}`);
+  }
+
+  static async previewRecipients(filters) {
+    return API.post('/announcements/recipients/preview', filters);
+  }
+
+  static async createAnnouncement(announcement) {
+    return API.post('/announcements', announcement);
+  }
+
+  static async updateAnnouncement(id, announcement) {
+    return API.put(`/announcements/${id}`, announcement);
+  }
+
+  static async deleteAnnouncement(id) {
+    return API.delete(`/announcements/${id}`);
+  }
+
+  static async previewAnnouncement(id) {
+    return API.post(`/announcements/${id}/preview`);
+  }
+
+  static async scheduleAnnouncement(id, scheduledAt = null) {
+    return API.post(`/announcements/${id}/schedule`, scheduledAt ? { scheduledAt } : {});
+  }
+
+  static async cancelAnnouncement(id) {
+    return API.post(`/announcements/${id}/cancel`);
+  }
+
+  static async retryAnnouncement(id) {
+    return API.post(`/announcements/${id}/retry`);
+  }
+
+  static async unsubscribe(email, token) {
+    return API.post('/announcements/unsubscribe', { email, token });
+  }
+}
+
+// Parent Portal API (set API.defaultHeaders to the portal session token first)
+class ParentAPI {
+  static async requestLoginLink(contact) {
+    return API.post('/parents/login-link', contact);
+  }
+
+  static async startSession(token) {
+    return API.post('/parents/session', { token });
+  }
+
+  static async getChildren() {
+    return API.get('/parents/children');
   }
 }
 
@@ -284,6 +580,11 @@ window.API = API;
 window.RegistrationAPI = RegistrationAPI;
 window.ContactAPI = ContactAPI;
 window.SectionsAPI = SectionsAPI;
+window.StudentsAPI = StudentsAPI;
+window.PaymentsAPI = PaymentsAPI;
+window.AcademicAPI = AcademicAPI;
 window.AdminAPI = AdminAPI;
+window.AnnouncementsAPI = AnnouncementsAPI;
+window.ParentAPI = ParentAPI;
 window.showNotification = showNotification;
 window.showLoading = showLoading;
\ No newline at end of file
@@ -0,0 +1,331 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getCurrentTerm, getTermById, getSectionFees } = require('../utils/terms');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Validation rules shared by sessions and terms
+const dateRangeValidation = [
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2-50 characters'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date (YYYY-MM-DD)'),
+  body('endDate').custom((endDate, { req }) => endDate > req.body.startDate).withMessage('End date must be after start date')
+];
+
+// Get all academic sessions with their terms
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await db.all('SELECT * FROM academic_sessions ORDER BY start_date DESC');
+    const terms = await db.all('SELECT * FROM terms ORDER BY start_date');
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        terms: terms.filter(term => term.session_id === session.id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching academic sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch academic sessions'
+    });
+  }
+});
+
+// Get the current term
+router.get('/terms/current', async (req, res) => {
+  try {
+    const term = await getCurrentTerm();
+
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'No current term has been set'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: term
+    });
+
+  } catch (error) {
+    console.error('Error fetching current term:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch current term'
+    });
+  }
+});
+
+// Create an academic session
+router.post('/sessions', authenticateToken, requirePermission('academic:manage'), dateRangeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, startDate, endDate } = req.body;
+
+    const existingSession = await db.get('SELECT id FROM academic_sessions WHERE name = ?', [name]);
+    if (existingSession) {
+      return res.status(409).json({
+        success: false,
+        message: 'An academic session with this name already exists'
+      });
+    }
+
+    const result = await db.run(
+      'INSERT INTO academic_sessions (name, start_date, end_date) VALUES (?, ?, ?)',
+      [name, startDate, endDate]
+    );
+
+    const session = await db.get('SELECT * FROM academic_sessions WHERE id = ?', [result.id]);
+
+    await recordAudit(req, {
+      action: 'session.create',
+      entityType: 'academic_session',
+      entityId: session.id,
+      before: null,
+      after: session
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Academic session created successfully',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Error creating academic session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create academic session'
+    });
+  }
+});
+
+// Add a term to an academic session
+router.post('/sessions/:id/terms', authenticateToken, requirePermission('academic:manage'), dateRangeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, startDate, endDate } = req.body;
+
+    const session = await db.get('SELECT * FROM academic_sessions WHERE id = ?', [id]);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic session not found'
+      });
+    }
+
+    if (startDate < session.start_date || endDate > session.end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Term dates must fall within the academic session'
+      });
+    }
+
+    const existingTerm = await db.get('SELECT id FROM terms WHERE session_id = ? AND name = ?', [id, name]);
+    if (existingTerm) {
+      return res.status(409).json({
+        success: false,
+        message: 'This session already has a term with that name'
+      });
+    }
+
+    const result = await db.run(
+      'INSERT INTO terms (session_id, name, start_date, end_date) VALUES (?, ?, ?, ?)',
+      [id, name, startDate, endDate]
+    );
+
+    const term = await getTermById(result.id);
+
+    await recordAudit(req, {
+      action: 'term.create',
+      entityType: 'term',
+      entityId: term.id,
+      before: null,
+      after: term
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Term created successfully',
+      data: term
+    });
+
+  } catch (error) {
+    console.error('Error creating term:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create term'
+    });
+  }
+});
+
+// Mark a term as the current term
+router.patch('/terms/:id/current', authenticateToken, requirePermission('academic:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const term = await getTermById(id);
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+
+    const previous = await db.transaction(async () => {
+      const current = await getCurrentTerm();
+      await db.run('UPDATE terms SET is_current = 0, updated_at = CURRENT_TIMESTAMP WHERE is_current = 1');
+      await db.run('UPDATE terms SET is_current = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+      return current;
+    });
+
+    await recordAudit(req, {
+      action: 'term.set_current',
+      entityType: 'term',
+      entityId: term.id,
+      before: { current_term_id: previous ? previous.id : null, current_term: previous ? previous.label : null },
+      after: { current_term_id: term.id, current_term: term.label }
+    });
+
+    res.json({
+      success: true,
+      message: `${term.label} is now the current term`
+    });
+
+  } catch (error) {
+    console.error('Error setting current term:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set current term'
+    });
+  }
+});
+
+// Get every section's fees for an academic session
+router.get('/sessions/:id/fees', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await db.get('SELECT * FROM academic_sessions WHERE id = ?', [id]);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic session not found'
+      });
+    }
+
+    const sections = await db.all('SELECT * FROM sections WHERE is_active = 1 ORDER BY name');
+    const fees = [];
+    for (const section of sections) {
+      fees.push({
+        section_id: section.id,
+        section: section.name,
+        ...await getSectionFees(section, session.id)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session: session,
+        fees: fees
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching session fees:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch session fees'
+    });
+  }
+});
+
+// Set a section's fees for an academic session
+router.put('/sessions/:id/fees/:sectionId', authenticateToken, requirePermission('academic:manage'), [
+  body('feeTermly').isFloat({ min: 0 }).withMessage('Termly fee must be zero or more'),
+  body('feeAnnual').isFloat({ min: 0 }).withMessage('Annual fee must be zero or more')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, sectionId } = req.params;
+    const { feeTermly, feeAnnual } = req.body;
+
+    const session = await db.get('SELECT id FROM academic_sessions WHERE id = ?', [id]);
+    const section = await db.get('SELECT id FROM sections WHERE id = ?', [sectionId]);
+    if (!session || !section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic session or section not found'
+      });
+    }
+
+    // No saved row means the section's default fees applied
+    const before = await db.get(
+      'SELECT fee_termly, fee_annual FROM section_fees WHERE section_id = ? AND session_id = ?',
+      [sectionId, id]
+    );
+
+    await db.run(
+      `INSERT INTO section_fees (section_id, session_id, fee_termly, fee_annual)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (section_id, session_id)
+       DO UPDATE SET fee_termly = excluded.fee_termly, fee_annual = excluded.fee_annual, updated_at = CURRENT_TIMESTAMP`,
+      [sectionId, id, feeTermly, feeAnnual]
+    );
+
+    await recordAudit(req, {
+      action: 'fees.update',
+      entityType: 'section_fees',
+      entityId: `${id}:${sectionId}`,
+      before: before || null,
+      after: { fee_termly: feeTermly, fee_annual: feeAnnual }
+    });
+
+    res.json({
+      success: true,
+      message: 'Section fees updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating section fees:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update section fees'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { getPermissions, hasPermission } = require('../config/roles');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTermFilter } = require('../utils/terms');
+const { writeCsv } = require('../utils/csv');
+const { SEARCH_TYPES, search } = require('../utils/search');
+const { STUDENT_LIST, MESSAGE_LIST, buildFilters } = require('../utils/listQuery');
+const { recordAudit } = require('../utils/audit');
 const router = express.Router();
 
 // Admin login
@@ -45,6 +51,13 @@ router.post('/login', [
       });
     }
 
+    if (!admin.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been disabled'
+      });
+    }
+
     // Update last login
     await db.run(
       'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
@@ -62,6 +75,13 @@ router.post('/login', [
       { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
     );
 
+    await recordAudit(req, {
+      action: 'admin.login',
+      entityType: 'admin_user',
+      entityId: admin.id,
+      actor: admin
+    });
+
     res.json({
       success: true,
       message: 'Login successful',
@@ -72,6 +92,7 @@ router.post('/login', [
           username: admin.username,
           email: admin.email,
           role: admin.role,
+          permissions: getPermissions(admin.role),
           last_login: admin.last_login
         }
       }
@@ -87,13 +108,27 @@ router.post('/login', [
 });
 
 // Get dashboard statistics
-router.get('/dashboard', authenticateToken, async (req, res) => {
+router.get('/dashboard', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
   try {
+    // Optionally limit statistics to one term (?term_id=<id> or ?term_id=current)
+    const term = await resolveTermFilter(req.query.term_id);
+    if (term === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+
+    const studentFilter = term ? 'term_id = ?' : '1=1';
+    const studentParams = term ? [term.id] : [];
+    const messageFilter = term ? 'date(created_at) BETWEEN ? AND ?' : '1=1';
+    const messageParams = term ? [term.start_date, term.end_date] : [];
+
     // Get overall statistics
-    const totalStudents = await db.get('SELECT COUNT(*) as count FROM students');
-    const pendingRegistrations = await db.get('SELECT COUNT(*) as count FROM students WHERE status = "pending"');
-    const approvedRegistrations = await db.get('SELECT COUNT(*) as count FROM students WHERE status = "approved"');
-    const unreadMessages = await db.get('SELECT COUNT(*) as count FROM contact_messages WHERE status = "unread"');
+    const totalStudents = await db.get(`SELECT COUNT(*) as count FROM students WHERE ${studentFilter}`, studentParams);
+    const pendingRegistrations = await db.get(`SELECT COUNT(*) as count FROM students WHERE status = 'pending' AND ${studentFilter}`, studentParams);
+    const approvedRegistrations = await db.get(`SELECT COUNT(*) as count FROM students WHERE status = 'approved' AND ${studentFilter}`, studentParams);
+    const unreadMessages = await db.get(`SELECT COUNT(*) as count FROM contact_messages WHERE status = 'unread' AND ${messageFilter}`, messageParams);
 
     // Get section-wise enrollment
     const sectionStats = await db.all(`
@@ -103,38 +138,40 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
         COUNT(st.id) as enrolled,
         s.capacity - COUNT(st.id) as available
       FROM sections s
-      LEFT JOIN students st ON s.name = st.section AND st.status = 'approved'
+      LEFT JOIN students st ON s.name = st.section AND st.status = 'approved' AND ${term ? 'st.term_id = ?' : '1=1'}
       WHERE s.is_active = 1
       GROUP BY s.id
       ORDER BY s.name
-    `);
+    `, studentParams);
 
     // Get recent registrations
     const recentRegistrations = await db.all(`
       SELECT student_name, section, status, created_at
       FROM students
+      WHERE ${studentFilter}
       ORDER BY created_at DESC
       LIMIT 5
-    `);
+    `, studentParams);
 
     // Get recent messages
     const recentMessages = await db.all(`
       SELECT name, subject, status, created_at
       FROM contact_messages
+      WHERE ${messageFilter}
       ORDER BY created_at DESC
       LIMIT 5
-    `);
+    `, messageParams);
 
-    // Get monthly registration trends (last 6 months)
+    // Get monthly registration trends (the term's months, or the last 6 months)
     const monthlyTrends = await db.all(`
       SELECT 
         strftime('%Y-%m', created_at) as month,
         COUNT(*) as registrations
       FROM students 
-      WHERE created_at >= date('now', '-6 months')
+      WHERE ${term ? 'term_id = ?' : "created_at >= date('now', '-6 months')"}
       GROUP BY strftime('%Y-%m', created_at)
       ORDER BY month DESC
-    `);
+    `, studentParams);
 
     // Get payment plan distribution
     const paymentStats = await db.all(`
@@ -142,12 +179,14 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
         payment_plan,
         COUNT(*) as count
       FROM students
+      WHERE ${studentFilter}
       GROUP BY payment_plan
-    `);
+    `, studentParams);
 
     res.json({
       success: true,
       data: {
+        term: term || null,
         overview: {
           total_students: totalStudents.count,
           pending_registrations: pendingRegistrations.count,
@@ -188,7 +227,10 @@ router.get('/profile', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: admin
+      data: {
+        ...admin,
+        permissions: getPermissions(admin.role)
+      }
     });
 
   } catch (error) {
@@ -230,22 +272,10 @@ router.put('/profile', authenticateToken, [
 
     let updateFields = [];
     let updateValues = [];
+    const emailChanged = email && email !== admin.email;
 
     // Update email if provided
-    if (email && email !== admin.email) {
-      // Check if email already exists
-      const existingAdmin = await db.get(
-        'SELECT id FROM admin_users WHERE email = ? AND id != ?',
-        [email, adminId]
-      );
-      
-      if (existingAdmin) {
-        return res.status(409).json({
-          success: false,
-          message: 'Email already in use'
-        });
-      }
-
+    if (emailChanged) {
       updateFields.push('email = ?');
       updateValues.push(email);
     }
@@ -276,11 +306,38 @@ router.put('/profile', authenticateToken, [
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
     updateValues.push(adminId);
 
-    // Update admin record
-    await db.run(
-      `UPDATE admin_users SET ${updateFields.join(', ')} WHERE id = ?`,
-      updateValues
-    );
+    // Check the email is free and update the record in one transaction
+    // so two accounts cannot claim the same address at once
+    const emailTaken = await db.transaction(async (tx) => {
+      if (emailChanged) {
+        const existingAdmin = await tx.get(
+          'SELECT id FROM admin_users WHERE email = ? AND id != ?',
+          [email, adminId]
+        );
+        if (existingAdmin) return true;
+      }
+
+      await tx.run(
+        `UPDATE admin_users SET ${updateFields.join(', ')} WHERE id = ?`,
+        updateValues
+      );
+      return false;
+    });
+
+    if (emailTaken) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already in use'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.profile_update',
+      entityType: 'admin_user',
+      entityId: adminId,
+      before: { email: admin.email },
+      after: { email: emailChanged ? email : admin.email, password_changed: Boolean(currentPassword && newPassword) }
+    });
 
     res.json({
       success: true,
@@ -296,70 +353,189 @@ router.put('/profile', authenticateToken, [
   }
 });
 
-// Export data (CSV format)
-router.get('/export/:type', authenticateToken, async (req, res) => {
+// Search students and contact messages by name, phone, email and text.
+// Only the types the user can read are searched; ?type= narrows it to one.
+router.get('/search', authenticateToken, [
+  query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Search text must be between 2-100 characters'),
+  query('type').optional().isIn(Object.keys(SEARCH_TYPES)).withMessage('Invalid search type'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, type, limit = 10 } = req.query;
+    const types = (type ? [type] : Object.keys(SEARCH_TYPES))
+      .filter(searchType => hasPermission(req.user.role, SEARCH_TYPES[searchType].permission));
+
+    if (types.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to search this data'
+      });
+    }
+
+    const results = await search(q, types, limit);
+    if (!results) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search text must include letters or numbers'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed'
+    });
+  }
+});
+
+// What each export type reads, the permission needed to read it, the list
+// whose filters it accepts and the unique column its rows are ordered by.
+// Columns come from the table itself, so new columns show up in exports
+// without changes here.
+const exportTypes = {
+  students: {
+    permission: 'registrations:read',
+    table: 'students',
+    select: 'SELECT * FROM students',
+    key: 'id',
+    order: 'DESC',
+    list: STUDENT_LIST
+  },
+  messages: {
+    permission: 'messages:read',
+    table: 'contact_messages',
+    select: 'SELECT * FROM contact_messages',
+    key: 'id',
+    order: 'DESC',
+    list: MESSAGE_LIST
+  },
+  sections: {
+    permission: 'registrations:read',
+    table: 'sections',
+    select: `SELECT s.*, COUNT(st.id) as enrolled_students
+      FROM sections s
+      LEFT JOIN students st ON s.name = st.section AND st.status = 'approved'`,
+    groupBy: 'GROUP BY s.id',
+    key: 'name',
+    order: 'ASC',
+    extraColumns: ['enrolled_students']
+  }
+};
+
+// Export data as JSON or CSV. Accepts the same filters as the list endpoints
+// and ?columns= to pick and order the columns. CSV is streamed a batch at a time.
+router.get('/export/:type', authenticateToken, requirePermission('data:export'), [
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { type } = req.params;
     const { format = 'json' } = req.query;
+    const exportType = exportTypes[type];
 
-    let data = [];
-    let filename = '';
-
-    switch (type) {
-      case 'students':
-        data = await db.all('SELECT * FROM students ORDER BY created_at DESC');
-        filename = `students_${new Date().toISOString().split('T')[0]}`;
-        break;
-      
-      case 'messages':
-        data = await db.all('SELECT * FROM contact_messages ORDER BY created_at DESC');
-        filename = `messages_${new Date().toISOString().split('T')[0]}`;
-        break;
-      
-      case 'sections':
-        data = await db.all(`
-          SELECT 
-            s.*,
-            COUNT(st.id) as enrolled_students
-          FROM sections s
-          LEFT JOIN students st ON s.name = st.section AND st.status = 'approved'
-          GROUP BY s.id
-          ORDER BY s.name
-        `);
-        filename = `sections_${new Date().toISOString().split('T')[0]}`;
-        break;
-      
-      default:
+    if (!exportType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export type'
+      });
+    }
+
+    // Exports are limited to data the user can already read
+    if (!hasPermission(req.user.role, exportType.permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to export this data'
+      });
+    }
+
+    const tableColumns = await db.all(`PRAGMA table_info(${exportType.table})`);
+    const available = [...tableColumns.map(column => column.name), ...(exportType.extraColumns || [])];
+
+    let columns = available;
+    if (req.query.columns) {
+      columns = String(req.query.columns).split(',').map(column => column.trim()).filter(Boolean);
+      const unknown = columns.filter(column => !available.includes(column));
+      if (columns.length === 0 || unknown.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid export type'
+          message: unknown.length > 0 ? `Unknown columns: ${unknown.join(', ')}` : 'No columns selected',
+          data: { available_columns: available }
         });
+      }
     }
 
-    if (format === 'csv') {
-      // Convert to CSV format
-      if (data.length === 0) {
+    // term_id=current exports the running term, as on the dashboard
+    const filterQuery = { ...req.query };
+    if (exportType.list && filterQuery.term_id === 'current') {
+      const term = await resolveTermFilter('current');
+      if (!term) {
         return res.status(404).json({
           success: false,
-          message: 'No data to export'
+          message: 'Term not found'
         });
       }
+      filterQuery.term_id = String(term.id);
+    }
+
+    const { conditions, params, errors: filterErrors } = exportType.list
+      ? buildFilters(exportType.list, filterQuery)
+      : { conditions: [], params: [], errors: [] };
+
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: filterErrors
+      });
+    }
+
+    const sql = [
+      exportType.select,
+      conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      exportType.groupBy || ''
+    ].filter(Boolean).join(' ');
+
+    const filters = Object.fromEntries(Object.entries(req.query).filter(([key]) => !['format', 'columns'].includes(key)));
+    await recordAudit(req, {
+      action: 'data.export',
+      entityType: type,
+      after: { format, columns: req.query.columns ? columns : 'all', filters }
+    });
 
-      const headers = Object.keys(data[0]);
-      const csvContent = [
-        headers.join(','),
-        ...data.map(row => 
-          headers.map(header => 
-            JSON.stringify(row[header] || '')
-          ).join(',')
-        )
-      ].join('\n');
-
-      res.setHeader('Content-Type', 'text/csv');
+    if (format === 'csv') {
+      const filename = `${type}_${new Date().toISOString().split('T')[0]}`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
-      res.send(csvContent);
+      await writeCsv(res, columns, db.iterate(sql, params, { key: exportType.key, order: exportType.order }));
     } else {
-      // Return JSON format
+      const rows = await db.all(`${sql} ORDER BY ${exportType.key} ${exportType.order}`, params);
+      const data = req.query.columns
+        ? rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]])))
+        : rows;
+
       res.json({
         success: true,
         data: data,
@@ -370,6 +546,10 @@ router.get('/export/:type', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Export error:', error);
+    // A CSV export that fails part-way has already sent its headers
+    if (res.headersSent) {
+      return res.destroy();
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to export data'
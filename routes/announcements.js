@@ -0,0 +1,536 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  ANNOUNCEMENT_STATUSES,
+  RECIPIENT_STATUS,
+  getFilters,
+  findRecipients,
+  isValidUnsubscribeToken,
+  renderAnnouncement,
+  scheduleProcessing
+} = require('../utils/announcements');
+const { resendEmail } = require('../utils/outbox');
+const { recordAudit } = require('../utils/audit');
+const { readPaging, paginate } = require('../utils/listQuery');
+const router = express.Router();
+
+const STUDENT_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn', 'waitlisted', 'graduated'];
+const PAYMENT_STATUSES = ['unpaid', 'partial', 'paid'];
+
+// Recipient filters shared by announcements and the recipient preview
+const filterValidation = [
+  body('sections').optional().isArray().withMessage('Sections must be a list'),
+  body('sections.*').isString().trim().notEmpty().withMessage('Section names must be text'),
+  body('statuses').optional().isArray().withMessage('Statuses must be a list'),
+  body('statuses.*').isIn(STUDENT_STATUSES).withMessage(`Statuses must be ${STUDENT_STATUSES.join(', ')}`),
+  body('paymentStatuses').optional().isArray().withMessage('Payment statuses must be a list'),
+  body('paymentStatuses.*').isIn(PAYMENT_STATUSES).withMessage(`Payment statuses must be ${PAYMENT_STATUSES.join(', ')}`),
+  body('essential').optional().isBoolean().withMessage('essential must be true or false').toBoolean()
+];
+
+const announcementValidation = [
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3-200 characters'),
+  body('message').trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be between 1-5000 characters'),
+  ...filterValidation
+];
+
+const readFilters = (reqBody) => ({
+  sections: reqBody.sections || [],
+  statuses: reqBody.statuses || [],
+  paymentStatuses: reqBody.paymentStatuses || []
+});
+
+// Return stored filters as lists instead of JSON text
+const formatAnnouncement = (announcement) => {
+  const { sections, statuses, paymentStatuses } = getFilters(announcement);
+  return {
+    ...announcement,
+    sections: sections,
+    statuses: statuses,
+    payment_statuses: paymentStatuses,
+    is_essential: Boolean(announcement.is_essential)
+  };
+};
+
+const countRecipients = (status) => `(SELECT COUNT(*)
+  FROM announcement_recipients r LEFT JOIN email_outbox e ON e.id = r.email_id
+  WHERE r.announcement_id = a.id${status ? ` AND ${RECIPIENT_STATUS} = '${status}'` : ''})`;
+
+const RECIPIENT_COUNTS = `
+  ${countRecipients()} as recipient_count,
+  ${countRecipients('sent')} as sent_count,
+  ${countRecipients('failed')} as failed_count`;
+
+// An announcement with its delivery counts, as kept in the audit log
+const getAuditValue = async (id) => {
+  const announcement = await db.get(`SELECT a.*, ${RECIPIENT_COUNTS} FROM announcements a WHERE a.id = ?`, [id]);
+  return announcement ? formatAnnouncement(announcement) : null;
+};
+
+const auditAnnouncement = async (req, action, id, before) => recordAudit(req, {
+  action: `announcement.${action}`,
+  entityType: 'announcement',
+  entityId: id,
+  before: before,
+  after: await getAuditValue(id)
+});
+
+// Opt an address out of non-essential announcements, using the signed link
+// from an announcement email. No login is needed.
+router.post('/unsubscribe', [
+  body('email').isEmail().withMessage('Please provide a valid email address'),
+  body('token').isHexadecimal().withMessage('Invalid unsubscribe link')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+    if (!isValidUnsubscribeToken(email, req.body.token)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    await db.run('INSERT OR IGNORE INTO email_unsubscribes (email) VALUES (?)', [email]);
+
+    res.json({
+      success: true,
+      message: 'You have been unsubscribed from school announcements'
+    });
+
+  } catch (error) {
+    console.error('Error unsubscribing from announcements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe'
+    });
+  }
+});
+
+// Everything below is for staff who can send announcements
+router.use(authenticateToken, requirePermission('announcements:send'));
+
+// Get announcements, optionally by status, with delivery counts
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const paging = readPaging(req.query);
+    if (paging.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: paging.errors
+      });
+    }
+
+    let where = ' WHERE 1=1';
+    let params = [];
+
+    if (status) {
+      if (!ANNOUNCEMENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be ${ANNOUNCEMENT_STATUSES.join(', ')}`
+        });
+      }
+      where += ' AND a.status = ?';
+      params.push(status);
+    }
+
+    const announcements = await db.all(
+      `SELECT a.*, ${RECIPIENT_COUNTS} FROM announcements a` + where + ' ORDER BY a.created_at DESC, a.id DESC LIMIT ? OFFSET ?',
+      [...params, paging.limit, paging.offset]
+    );
+    const { total } = await db.get('SELECT COUNT(*) as total FROM announcements a' + where, params);
+
+    res.json({
+      success: true,
+      data: announcements.map(formatAnnouncement),
+      pagination: paginate(paging, total)
+    });
+
+  } catch (error) {
+    console.error('Error fetching announcements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcements'
+    });
+  }
+});
+
+// Count the families a set of filters would reach
+router.post('/recipients/preview', filterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recipients = await findRecipients(readFilters(req.body), req.body.essential);
+
+    res.json({
+      success: true,
+      data: {
+        count: recipients.length,
+        recipients: recipients.slice(0, 20)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error previewing announcement recipients:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview recipients'
+    });
+  }
+});
+
+// Create a draft announcement
+router.post('/', announcementValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, message, essential = false } = req.body;
+    const { sections, statuses, paymentStatuses } = readFilters(req.body);
+
+    const result = await db.run(
+      `INSERT INTO announcements (title, message, sections, statuses, payment_statuses, is_essential, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [title, message, JSON.stringify(sections), JSON.stringify(statuses), JSON.stringify(paymentStatuses), essential ? 1 : 0, req.user.id]
+    );
+
+    await auditAnnouncement(req, 'create', result.id, null);
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement saved as a draft',
+      data: formatAnnouncement(await db.get('SELECT * FROM announcements WHERE id = ?', [result.id]))
+    });
+
+  } catch (error) {
+    console.error('Error creating announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create announcement'
+    });
+  }
+});
+
+// Get an announcement with the delivery log for every recipient
+router.get('/:id', async (req, res) => {
+  try {
+    const announcement = await db.get(`SELECT a.*, ${RECIPIENT_COUNTS} FROM announcements a WHERE a.id = ?`, [req.params.id]);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    const recipients = await db.all(
+      `SELECT r.id, r.email, r.parent_name, ${RECIPIENT_STATUS} as status,
+         COALESCE(e.last_error, r.error) as error, COALESCE(e.sent_at, r.sent_at) as sent_at
+       FROM announcement_recipients r
+       LEFT JOIN email_outbox e ON e.id = r.email_id
+       WHERE r.announcement_id = ? ORDER BY r.id`,
+      [announcement.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...formatAnnouncement(announcement),
+        recipients: recipients
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcement'
+    });
+  }
+});
+
+// Edit a draft announcement
+router.put('/:id', announcementValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { title, message, essential = false } = req.body;
+    const { sections, statuses, paymentStatuses } = readFilters(req.body);
+
+    const announcement = await getAuditValue(id);
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    if (announcement.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft announcements can be edited'
+      });
+    }
+
+    await db.run(
+      `UPDATE announcements
+       SET title = ?, message = ?, sections = ?, statuses = ?, payment_statuses = ?, is_essential = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [title, message, JSON.stringify(sections), JSON.stringify(statuses), JSON.stringify(paymentStatuses), essential ? 1 : 0, id]
+    );
+
+    await auditAnnouncement(req, 'update', id, announcement);
+
+    res.json({
+      success: true,
+      message: 'Announcement updated successfully',
+      data: formatAnnouncement(await db.get('SELECT * FROM announcements WHERE id = ?', [id]))
+    });
+
+  } catch (error) {
+    console.error('Error updating announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update announcement'
+    });
+  }
+});
+
+// Delete a draft announcement
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const before = await getAuditValue(id);
+    const result = await db.run(`DELETE FROM announcements WHERE id = ? AND status = 'draft'`, [id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft announcement not found'
+      });
+    }
+
+    await auditAnnouncement(req, 'delete', id, before);
+
+    res.json({
+      success: true,
+      message: 'Announcement deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete announcement'
+    });
+  }
+});
+
+// Render the email the first recipient would receive
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const announcement = await db.get('SELECT * FROM announcements WHERE id = ?', [req.params.id]);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    const [recipient] = await findRecipients(getFilters(announcement), announcement.is_essential);
+    const email = await renderAnnouncement(announcement, recipient || { email: 'parent@example.com', parent_name: null });
+
+    res.json({
+      success: true,
+      data: {
+        to: recipient ? recipient.email : null,
+        ...email
+      }
+    });
+
+  } catch (error) {
+    console.error('Error previewing announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview announcement'
+    });
+  }
+});
+
+// Schedule a draft to be sent at scheduledAt, or straight away without one
+router.post('/:id/schedule', [
+  body('scheduledAt').optional({ values: 'falsy' }).isISO8601().withMessage('Scheduled time must be a valid date and time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : new Date();
+    const before = await getAuditValue(id);
+
+    // Stored in the same UTC format as CURRENT_TIMESTAMP so they compare correctly
+    const result = await db.run(
+      `UPDATE announcements SET status = 'scheduled', scheduled_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'draft'`,
+      [scheduledAt.toISOString().slice(0, 19).replace('T', ' '), id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft announcement not found'
+      });
+    }
+
+    await auditAnnouncement(req, 'schedule', id, before);
+    scheduleProcessing();
+
+    res.json({
+      success: true,
+      message: scheduledAt > new Date() ? `Announcement scheduled for ${scheduledAt.toLocaleString()}` : 'Announcement is being sent'
+    });
+
+  } catch (error) {
+    console.error('Error scheduling announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule announcement'
+    });
+  }
+});
+
+// Return a scheduled announcement to draft before it is sent
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const before = await getAuditValue(id);
+    const result = await db.run(
+      `UPDATE announcements SET status = 'draft', scheduled_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'scheduled'`,
+      [id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only scheduled announcements that have not started sending can be cancelled'
+      });
+    }
+
+    await auditAnnouncement(req, 'cancel', id, before);
+
+    res.json({
+      success: true,
+      message: 'Announcement moved back to drafts'
+    });
+
+  } catch (error) {
+    console.error('Error cancelling announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel announcement'
+    });
+  }
+});
+
+// Try the recipients of a sent announcement whose email failed again
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const before = await getAuditValue(id);
+
+    const retried = await db.transaction(async (tx) => {
+      const announcement = await tx.get(`SELECT id FROM announcements WHERE id = ? AND status = 'sent'`, [id]);
+      if (!announcement) return null;
+
+      // Emails the outbox gave up on go back to the front of its queue
+      const dead = await tx.all(
+        `SELECT r.email_id FROM announcement_recipients r
+         JOIN email_outbox e ON e.id = r.email_id
+         WHERE r.announcement_id = ? AND e.status = 'dead'`,
+        [id]
+      );
+      for (const recipient of dead) {
+        await resendEmail(recipient.email_id);
+      }
+
+      // Recipients that failed before their email was queued are queued again
+      const result = await tx.run(
+        `UPDATE announcement_recipients SET status = 'pending', error = NULL
+         WHERE announcement_id = ? AND status = 'failed' AND email_id IS NULL`,
+        [id]
+      );
+      if (result.changes > 0) {
+        await tx.run(`UPDATE announcements SET status = 'sending', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+      }
+      return dead.length + result.changes;
+    });
+
+    if (retried === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sent announcement not found'
+      });
+    }
+
+    await auditAnnouncement(req, 'retry', id, before);
+    scheduleProcessing();
+
+    res.json({
+      success: true,
+      message: retried > 0 ? `Retrying ${retried} failed recipients` : 'No failed recipients to retry'
+    });
+
+  } catch (error) {
+    console.error('Error retrying announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry announcement'
+    });
+  }
+});
+
+module.exports = router;
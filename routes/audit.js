@@ -0,0 +1,46 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { AUDIT_LOG_LIST, buildListQuery, paginate } = require('../utils/listQuery');
+const { formatAuditEntry } = require('../utils/audit');
+const router = express.Router();
+
+// The audit log can only be read by staff with audit:read (super admins)
+router.use(authenticateToken, requirePermission('audit:read'));
+
+// Query the audit log, newest first. Filters, sorting and paging are
+// described by AUDIT_LOG_LIST in utils/listQuery.
+router.get('/', async (req, res) => {
+  try {
+    const list = buildListQuery(AUDIT_LOG_LIST, req.query);
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: list.errors
+      });
+    }
+
+    const entries = await db.all(
+      `SELECT * FROM audit_log ${list.where} ${list.orderBy} LIMIT ? OFFSET ?`,
+      [...list.params, list.limit, list.offset]
+    );
+
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM audit_log ${list.where}`, list.params);
+
+    res.json({
+      success: true,
+      data: entries.map(formatAuditEntry),
+      pagination: paginate(list, total)
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+module.exports = router;
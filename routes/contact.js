@@ -1,7 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { sendEmail } = require('../utils/email');
+const { queueEmail } = require('../utils/outbox');
+const { renderEmail } = require('../utils/emailTemplates');
+const { MESSAGE_LIST, buildListQuery, paginate } = require('../utils/listQuery');
+const { recordAudit } = require('../utils/audit');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
 // Validation rules for contact form
@@ -13,6 +17,9 @@ const contactValidation = [
   body('message').trim().isLength({ min: 10, max: 1000 }).withMessage('Message must be between 10-1000 characters')
 ];
 
+// Reference shown to the sender, e.g. MSG000042
+const formatMessageId = (id) => `MSG${id.toString().padStart(6, '0')}`;
+
 // Submit contact form
 router.post('/', contactValidation, async (req, res) => {
   try {
@@ -35,57 +42,41 @@ router.post('/', contactValidation, async (req, res) => {
       [name, email, phone, subject, message]
     );
 
+    const templateData = {
+      name,
+      email,
+      phone,
+      subject,
+      message,
+      messageId: formatMessageId(result.id),
+      receivedAt: new Date().toLocaleString()
+    };
+
     // Send notification email to admin
     try {
-      await sendEmail({
+      await queueEmail({
         to: process.env.ADMIN_EMAIL,
-        subject: `New Contact Message: ${subject}`,
-        html: `
-          <h2>New Contact Message</h2>
-          <p><strong>From:</strong> ${name}</p>
-          <p><strong>Email:</strong> ${email}</p>
-          <p><strong>Phone:</strong> ${phone || 'Not provided'}</p>
-          <p><strong>Subject:</strong> ${subject}</p>
-          <p><strong>Message:</strong></p>
-          <div style="background: #f5f5f5; padding: 15px; border-radius: 5px;">
-            ${message.replace(/\n/g, '<br>')}
-          </div>
-          <p><strong>Message ID:</strong> ${result.id}</p>
-          <p><strong>Received:</strong> ${new Date().toLocaleString()}</p>
-        `
+        ...await renderEmail('contactNotification', templateData)
       });
     } catch (emailError) {
-      console.error('Failed to send notification email:', emailError);
+      console.error('Failed to queue notification email:', emailError);
     }
 
     // Send auto-reply to user
     try {
-      await sendEmail({
+      await queueEmail({
         to: email,
-        subject: 'Thank you for contacting us - Musab Bin Umair Memorial School',
-        html: `
-          <h2>Thank you for your message</h2>
-          <p>Dear ${name},</p>
-          <p>We have received your message and will get back to you as soon as possible.</p>
-          <h3>Your Message Details:</h3>
-          <p><strong>Subject:</strong> ${subject}</p>
-          <p><strong>Reference ID:</strong> MSG${result.id.toString().padStart(6, '0')}</p>
-          <p>We typically respond within 24-48 hours during business days.</p>
-          <p>May Allah bless you and your family.</p>
-          <p><strong>Musab Bin Umair Memorial School</strong><br>
-          Phone: ${process.env.SCHOOL_PHONE}<br>
-          Email: ${process.env.SCHOOL_EMAIL}</p>
-        `
+        ...await renderEmail('contactAutoReply', templateData)
       });
     } catch (emailError) {
-      console.error('Failed to send auto-reply email:', emailError);
+      console.error('Failed to queue auto-reply email:', emailError);
     }
 
     res.status(201).json({
       success: true,
       message: 'Your message has been sent successfully. We will get back to you soon.',
       data: {
-        messageId: `MSG${result.id.toString().padStart(6, '0')}`
+        messageId: templateData.messageId
       }
     });
 
@@ -98,45 +89,31 @@ router.post('/', contactValidation, async (req, res) => {
   }
 });
 
-// Get all contact messages (admin only)
-router.get('/', async (req, res) => {
+// Get all contact messages (admin only). Filters, sorting and paging are
+// described by MESSAGE_LIST in utils/listQuery.
+router.get('/', authenticateToken, requirePermission('messages:read'), async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = 'SELECT * FROM contact_messages WHERE 1=1';
-    let params = [];
-
-    if (status) {
-      query += ' AND status = ?';
-      params.push(status);
+    const list = buildListQuery(MESSAGE_LIST, req.query);
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: list.errors
+      });
     }
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), offset);
-
-    const messages = await db.all(query, params);
+    const messages = await db.all(
+      `SELECT * FROM contact_messages ${list.where} ${list.orderBy} LIMIT ? OFFSET ?`,
+      [...list.params, list.limit, list.offset]
+    );
 
     // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) as total FROM contact_messages WHERE 1=1';
-    let countParams = [];
-
-    if (status) {
-      countQuery += ' AND status = ?';
-      countParams.push(status);
-    }
-
-    const { total } = await db.get(countQuery, countParams);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM contact_messages ${list.where}`, list.params);
 
     res.json({
       success: true,
       data: messages,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination: paginate(list, total)
     });
 
   } catch (error) {
@@ -149,7 +126,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get single contact message by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('messages:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const message = await db.get('SELECT * FROM contact_messages WHERE id = ?', [id]);
@@ -170,6 +147,17 @@ router.get('/:id', async (req, res) => {
       message.status = 'read';
     }
 
+    // Staff replies, with the delivery status of each reply's email
+    message.replies = await db.all(
+      `SELECT r.id, r.body, r.created_at, a.username as replied_by, e.status as email_status
+       FROM contact_replies r
+       LEFT JOIN admin_users a ON a.id = r.admin_id
+       LEFT JOIN email_outbox e ON e.id = r.email_id
+       WHERE r.message_id = ?
+       ORDER BY r.created_at, r.id`,
+      [id]
+    );
+
     res.json({
       success: true,
       data: message
@@ -185,7 +173,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update message status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', authenticateToken, requirePermission('messages:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -197,18 +185,27 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
-    const result = await db.run(
-      'UPDATE contact_messages SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [status, id]
-    );
-
-    if (result.changes === 0) {
+    const message = await db.get('SELECT id, status FROM contact_messages WHERE id = ?', [id]);
+    if (!message) {
       return res.status(404).json({
         success: false,
         message: 'Contact message not found'
       });
     }
 
+    await db.run(
+      'UPDATE contact_messages SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, id]
+    );
+
+    await recordAudit(req, {
+      action: 'message.status_change',
+      entityType: 'contact_message',
+      entityId: message.id,
+      before: { status: message.status },
+      after: { status }
+    });
+
     res.json({
       success: true,
       message: 'Message status updated successfully'
@@ -223,4 +220,79 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
+// Reply to a contact message. The reply is emailed to the sender, kept with
+// the message and marks it as replied.
+router.post('/:id/replies', authenticateToken, requirePermission('messages:write'), [
+  body('message').trim().isLength({ min: 1, max: 5000 }).withMessage('Reply must be between 1-5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const contactMessage = await db.get('SELECT * FROM contact_messages WHERE id = ?', [id]);
+
+    if (!contactMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+
+    const email = await renderEmail('contactReply', {
+      name: contactMessage.name,
+      subject: contactMessage.subject,
+      message: contactMessage.message,
+      messageId: formatMessageId(contactMessage.id),
+      receivedAt: new Date(`${contactMessage.created_at}Z`).toLocaleString(),
+      reply: req.body.message
+    });
+
+    // Queue the email, record the reply and update the status together
+    const replyId = await db.transaction(async (tx) => {
+      const emailId = await queueEmail({ to: contactMessage.email, ...email });
+      const reply = await tx.run(
+        'INSERT INTO contact_replies (message_id, admin_id, body, email_id) VALUES (?, ?, ?, ?)',
+        [id, req.user.id, req.body.message, emailId]
+      );
+      await tx.run(
+        'UPDATE contact_messages SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        ['replied', id]
+      );
+      return reply.id;
+    });
+
+    await recordAudit(req, {
+      action: 'message.reply',
+      entityType: 'contact_message',
+      entityId: contactMessage.id,
+      before: { status: contactMessage.status },
+      after: { status: 'replied', reply_id: replyId, reply: req.body.message }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply sent successfully',
+      data: {
+        id: replyId,
+        to: contactMessage.email,
+        subject: email.subject
+      }
+    });
+
+  } catch (error) {
+    console.error('Error replying to contact message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reply'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  isTemplate,
+  getTemplate,
+  listTemplates,
+  validateTemplate,
+  renderTemplate
+} = require('../utils/emailTemplates');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Email templates can only be viewed and edited by staff with emails:manage
+router.use(authenticateToken, requirePermission('emails:manage'));
+
+router.param('name', (req, res, next, name) => {
+  if (!isTemplate(name)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email template not found'
+    });
+  }
+  next();
+});
+
+const templateValidation = [
+  body('subject').trim().isLength({ min: 1, max: 200 }).withMessage('Subject must be between 1-200 characters'),
+  body('heading').optional().trim().isLength({ max: 200 }).withMessage('Heading must not exceed 200 characters'),
+  body('html').isString().trim().notEmpty().withMessage('HTML body is required'),
+  body('text').isString().trim().notEmpty().withMessage('Plain-text body is required')
+];
+
+// The parts of a template kept in the audit log
+const auditValue = ({ subject, heading, html, text, customized }) => ({ subject, heading, html, text, customized });
+
+// List every template and whether it has been edited
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listTemplates()
+    });
+
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email templates'
+    });
+  }
+});
+
+// Get a template with the variables it can use
+router.get('/:name', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getTemplate(req.params.name)
+    });
+
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email template'
+    });
+  }
+});
+
+// Save edits to a template
+router.put('/:name', templateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const { subject, heading = '', html, text } = req.body;
+
+    const problems = validateTemplate(name, { subject, heading, html, text });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template is not valid',
+        errors: problems
+      });
+    }
+
+    const before = await getTemplate(name);
+    await db.run(
+      `INSERT INTO email_templates (name, subject, heading, html_body, text_body, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (name)
+       DO UPDATE SET subject = excluded.subject, heading = excluded.heading, html_body = excluded.html_body,
+         text_body = excluded.text_body, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP`,
+      [name, subject, heading, html, text, req.user.id]
+    );
+
+    const template = await getTemplate(name);
+    await recordAudit(req, {
+      action: 'template.update',
+      entityType: 'email_template',
+      entityId: name,
+      before: auditValue(before),
+      after: auditValue(template)
+    });
+
+    res.json({
+      success: true,
+      message: 'Email template saved successfully',
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save email template'
+    });
+  }
+});
+
+// Discard edits and go back to the default template
+router.delete('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const before = await getTemplate(name);
+    await db.run('DELETE FROM email_templates WHERE name = ?', [name]);
+
+    const template = await getTemplate(name);
+    await recordAudit(req, {
+      action: 'template.reset',
+      entityType: 'email_template',
+      entityId: name,
+      before: auditValue(before),
+      after: auditValue(template)
+    });
+
+    res.json({
+      success: true,
+      message: 'Email template reset to default',
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset email template'
+    });
+  }
+});
+
+// Render a template with sample data. Unsaved edits can be sent to preview
+// them before saving, and data overrides individual sample values.
+router.post('/:name/preview', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const saved = await getTemplate(name);
+    const template = {
+      subject: req.body.subject !== undefined ? req.body.subject : saved.subject,
+      heading: req.body.heading !== undefined ? req.body.heading : saved.heading,
+      html: req.body.html !== undefined ? req.body.html : saved.html,
+      text: req.body.text !== undefined ? req.body.text : saved.text
+    };
+
+    const problems = validateTemplate(name, template);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template is not valid',
+        errors: problems
+      });
+    }
+
+    res.json({
+      success: true,
+      data: renderTemplate(template, { ...saved.sample, ...(req.body.data || {}) })
+    });
+
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview email template'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { parseCsv } = require('../utils/csv');
+const { IMPORT_FIELDS, mapColumns, checkStudents, importStudents } = require('../utils/studentImport');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+const maxImportSize = 2 * 1024 * 1024;
+
+// Import files are small and only read once, so they are kept in memory
+const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxImportSize }
+}).single('file');
+
+const handleImportUpload = (req, res, next) => {
+  uploadImportFile(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `The file must be smaller than ${maxImportSize / (1024 * 1024)}MB`
+          : err.message
+      });
+    }
+    next(err);
+  });
+};
+
+// Import existing pupils from a CSV file as enrolled students. Runs as a dry
+// run unless dryRun is false: every row is checked and a report of the rows
+// that would fail is returned. When committing, nothing is saved unless
+// every row is valid.
+router.post('/students', authenticateToken, requirePermission('registrations:import'), handleImportUpload, [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+  body('mapping').optional()
+    .custom(value => {
+      const mapping = JSON.parse(value);
+      return mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping);
+    })
+    .withMessage('mapping must be a JSON object of column headings to fields')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach a CSV file'
+      });
+    }
+
+    if (['.xlsx', '.xls'].includes(path.extname(req.file.originalname).toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Excel files are not supported. Save the sheet as CSV (UTF-8) and upload that instead.'
+      });
+    }
+
+    let rows;
+    try {
+      rows = parseCsv(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    if (rows.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file must have a heading row and at least one student'
+      });
+    }
+
+    const [headings, ...studentRows] = rows;
+    const { columns, missing, duplicated, ignored } = mapColumns(headings, req.body.mapping ? JSON.parse(req.body.mapping) : {});
+
+    if (missing.length > 0 || duplicated.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: missing.length > 0
+          ? `Missing columns for: ${missing.join(', ')}`
+          : `More than one column maps to: ${duplicated.join(', ')}`,
+        data: { fields: Object.keys(IMPORT_FIELDS), ignored_columns: ignored }
+      });
+    }
+
+    if (req.body.dryRun !== false) {
+      const report = await checkStudents(studentRows, columns);
+      return res.json({
+        success: true,
+        message: report.invalid_rows > 0
+          ? `${report.invalid_rows} of ${report.total_rows} rows have errors`
+          : `All ${report.total_rows} rows are ready to import`,
+        data: { dry_run: true, ...report, ignored_columns: ignored }
+      });
+    }
+
+    const { imported, report, students } = await importStudents(studentRows, columns);
+    if (!imported) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing was imported because ${report.invalid_rows} of ${report.total_rows} rows have errors`,
+        data: { dry_run: false, ...report, ignored_columns: ignored }
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'students.import',
+      entityType: 'student',
+      after: { file: req.file.originalname, imported: students.map(student => student.id) }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${students.length} students imported successfully`,
+      data: { dry_run: false, ...report, ignored_columns: ignored, students }
+    });
+
+  } catch (error) {
+    console.error('Student import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import students'
+    });
+  }
+});
+
+module.exports = router;
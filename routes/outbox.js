@@ -0,0 +1,148 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { OUTBOX_STATUSES, OUTBOX_CHANNELS, resendEmail } = require('../utils/outbox');
+const { recordAudit } = require('../utils/audit');
+const { readPaging, paginate } = require('../utils/listQuery');
+const router = express.Router();
+
+// The email outbox can only be viewed and managed by staff with emails:manage
+router.use(authenticateToken, requirePermission('emails:manage'));
+
+const OUTBOX_FIELDS = 'id, channel, to_address, subject, status, attempts, last_error, next_attempt_at, sent_at, created_at, updated_at';
+
+// Get queued emails and text messages, optionally by status and channel.
+// status=failed lists dead messages and messages waiting to be retried.
+router.get('/', async (req, res) => {
+  try {
+    const { status, channel } = req.query;
+
+    const paging = readPaging(req.query);
+    if (paging.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: paging.errors
+      });
+    }
+
+    let where = ' WHERE 1=1';
+    let params = [];
+
+    if (status === 'failed') {
+      where += " AND (status = 'dead' OR (status = 'pending' AND attempts > 0))";
+    } else if (status) {
+      if (!OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be failed, ${OUTBOX_STATUSES.join(', ')}`
+        });
+      }
+      where += ' AND status = ?';
+      params.push(status);
+    }
+
+    if (channel) {
+      if (!OUTBOX_CHANNELS.includes(channel)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid channel. Must be ${OUTBOX_CHANNELS.join(', ')}`
+        });
+      }
+      where += ' AND channel = ?';
+      params.push(channel);
+    }
+
+    const emails = await db.all(
+      `SELECT ${OUTBOX_FIELDS} FROM email_outbox` + where + ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+      [...params, paging.limit, paging.offset]
+    );
+
+    const { total } = await db.get('SELECT COUNT(*) as total FROM email_outbox' + where, params);
+    const counts = await db.all('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status');
+
+    res.json({
+      success: true,
+      data: emails,
+      counts: Object.fromEntries(counts.map(row => [row.status, row.count])),
+      pagination: paginate(paging, total)
+    });
+
+  } catch (error) {
+    console.error('Error fetching email outbox:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email outbox'
+    });
+  }
+});
+
+// Get a single queued email, including its body
+router.get('/:id', async (req, res) => {
+  try {
+    const email = await db.get('SELECT * FROM email_outbox WHERE id = ?', [req.params.id]);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: email
+    });
+
+  } catch (error) {
+    console.error('Error fetching email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email'
+    });
+  }
+});
+
+// Queue a failed email to be sent again straight away
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const email = await db.get('SELECT id, to_address, subject, status, attempts, last_error FROM email_outbox WHERE id = ?', [id]);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    if (!await resendEmail(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed emails can be resent'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'email.resend',
+      entityType: 'email',
+      entityId: email.id,
+      before: { status: email.status, attempts: email.attempts, last_error: email.last_error },
+      after: { status: 'pending', attempts: 0 }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email queued for resending'
+    });
+
+  } catch (error) {
+    console.error('Error resending email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend email'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { renderEmail } = require('../utils/emailTemplates');
+const { queueEmail, queueSms } = require('../utils/outbox');
+const { renderSms } = require('../utils/notifications');
+const { isSmsEnabled } = require('../utils/sms');
+const { authenticateParent } = require('../middleware/auth');
+const { getTermSummary, getPaymentHistory } = require('../utils/payments');
+const { getCurrentTerm } = require('../utils/terms');
+const { getDocumentPath } = require('../utils/documents');
+const { phonesMatch } = require('../utils/references');
+const router = express.Router();
+
+const LINK_EXPIRES_IN_MINUTES = 15;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Students registered under the email address or phone number a parent
+// signed in with. Only that contact detail has been verified, so it alone
+// decides which children a session covers. Phone numbers are stored as they
+// were typed, so they are compared by their digits.
+const findChildren = async ({ email, phone }) => {
+  if (email) {
+    return db.all('SELECT * FROM students WHERE LOWER(email) = LOWER(?) ORDER BY created_at', [email]);
+  }
+
+  const students = await db.all('SELECT * FROM students WHERE phone IS NOT NULL ORDER BY created_at');
+  return students.filter(student => phonesMatch(student.phone, phone));
+};
+
+// Request a one-time login link by email or phone. The link goes only to the
+// address or number that was entered, so a session covers just the children
+// registered under a contact detail the parent has shown they control. The
+// response never reveals whether a match was found.
+router.post('/login-link', [
+  body('email').optional().isEmail().withMessage('Please provide a valid email address'),
+  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body().custom(({ email, phone }) => Boolean(email || phone)).withMessage('Please provide an email address or phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const email = req.body.email ? req.body.email.trim() : null;
+    const phone = email ? null : req.body.phone.trim();
+
+    // Links for a phone number are sent by text message
+    if (phone && !isSmsEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Signing in with a phone number is not available. Please use your email address instead.'
+      });
+    }
+
+    const children = await findChildren({ email, phone });
+
+    if (children.length > 0) {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await db.run('DELETE FROM parent_login_tokens WHERE expires_at < CURRENT_TIMESTAMP');
+      await db.run(
+        `INSERT INTO parent_login_tokens (token_hash, email, phone, expires_at)
+         VALUES (?, ?, ?, datetime('now', ?))`,
+        [hashToken(token), email, phone, `+${LINK_EXPIRES_IN_MINUTES} minutes`]
+      );
+
+      const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+      const data = {
+        link: `${appUrl}/parent/?token=${token}`,
+        expiresInMinutes: LINK_EXPIRES_IN_MINUTES
+      };
+
+      try {
+        if (email) {
+          await queueEmail({ to: children[0].email, ...await renderEmail('parentLoginLink', data) });
+        } else {
+          await queueSms({ to: phone, message: await renderSms('parentLoginLink', data) });
+        }
+      } catch (sendError) {
+        console.error('Failed to queue parent login link:', sendError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `If we have a registration with those details, a login link has been sent to that ${email ? 'email address' : 'phone number'}.`
+    });
+
+  } catch (error) {
+    console.error('Error requesting parent login link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send login link'
+    });
+  }
+});
+
+// Exchange a login link token for a portal session
+router.post('/session', [
+  body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid login link')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Mark the token used in the same transaction that reads it so it works only once
+    const login = await db.transaction(async (tx) => {
+      const row = await tx.get(
+        `SELECT * FROM parent_login_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [hashToken(req.body.token)]
+      );
+      if (!row) return null;
+
+      await tx.run('UPDATE parent_login_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+      return row;
+    });
+
+    if (!login) {
+      return res.status(401).json({
+        success: false,
+        message: 'This login link is invalid or has expired'
+      });
+    }
+
+    const token = jwt.sign(
+      {
+        type: 'parent',
+        email: login.email,
+        phone: login.phone
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: '12h' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        email: login.email,
+        phone: login.phone
+      }
+    });
+
+  } catch (error) {
+    console.error('Error starting parent session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign in'
+    });
+  }
+});
+
+// Get every child registered under the parent's contact details
+router.get('/children', authenticateParent, async (req, res) => {
+  try {
+    const children = await findChildren(req.parent);
+    const currentTerm = await getCurrentTerm();
+    const data = [];
+
+    for (const child of children) {
+      const { terms, payments } = await getPaymentHistory(child);
+
+      // Approved students owe the current term's fees even before paying anything
+      if (currentTerm && child.status === 'approved' && !terms.some(term => term.term_id === currentTerm.id)) {
+        terms.unshift(await getTermSummary(child, currentTerm.label, currentTerm.id));
+      }
+
+      const documents = await db.all(
+        `SELECT id, document_type, original_name, mime_type, size, created_at
+         FROM student_documents WHERE student_id = ? ORDER BY created_at`,
+        [child.id]
+      );
+
+      data.push({
+        id: child.id,
+        registrationId: child.reference_code,
+        student_name: child.student_name,
+        student_age: child.student_age,
+        section: child.section,
+        payment_plan: child.payment_plan,
+        status: child.status,
+        waitlist_position: child.waitlist_position,
+        payment_status: child.payment_status,
+        registered_at: child.created_at,
+        outstanding_balance: terms.reduce((sum, term) => sum + (term.balance || 0), 0),
+        terms: terms,
+        payments: payments.map(({ id, amount, payment_method, payment_reference, payment_date, academic_term, status }) => ({
+          id, amount, payment_method, payment_reference, payment_date, academic_term, status
+        })),
+        documents: documents
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data
+    });
+
+  } catch (error) {
+    console.error('Error fetching parent portal children:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registrations'
+    });
+  }
+});
+
+// Download a document attached to one of the parent's children
+router.get('/children/:id/documents/:documentId', authenticateParent, async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const children = await findChildren(req.parent);
+
+    const document = children.some(child => child.id === parseInt(id))
+      ? await db.get('SELECT * FROM student_documents WHERE id = ? AND student_id = ?', [documentId, id])
+      : null;
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.download(getDocumentPath(document.stored_name), document.original_name, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Error sending document:', err);
+        res.status(404).json({
+          success: false,
+          message: 'Document file is missing'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download document'
+    });
+  }
+});
+
+module.exports = router;
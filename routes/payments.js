@@ -0,0 +1,408 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getPaymentHistory, getTermSummary, refreshPaymentStatus, formatCurrency } = require('../utils/payments');
+const { notifyFamily } = require('../utils/notifications');
+const { getCurrentTerm, getTermById } = require('../utils/terms');
+const { recordAudit } = require('../utils/audit');
+const { readPaging, paginate } = require('../utils/listQuery');
+const router = express.Router();
+
+// All payment routes require a signed-in staff member
+router.use(authenticateToken);
+
+// Validation rules for recording a payment
+const paymentValidation = [
+  body('studentId').isInt({ min: 1 }).withMessage('A valid student ID is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('paymentMethod').optional().isIn(['cash', 'bank_transfer', 'pos', 'card']).withMessage('Please select a valid payment method'),
+  body('paymentReference').optional().trim().isLength({ max: 100 }).withMessage('Payment reference must not exceed 100 characters'),
+  body('termId').optional().isInt({ min: 1 }).withMessage('termId must be a valid term ID'),
+  body('academicTerm').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Academic term must be between 1-50 characters'),
+  body('paymentDate').optional().isISO8601().withMessage('Payment date must be a valid date'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters')
+];
+
+// Record a new payment
+router.post('/', requirePermission('payments:write'), paymentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      studentId,
+      amount,
+      paymentMethod,
+      paymentReference,
+      termId,
+      paymentDate,
+      notes
+    } = req.body;
+
+    // Payments belong to the given term, a free-text term, or the current term
+    let term = null;
+    if (termId) {
+      term = await getTermById(termId);
+      if (!term) {
+        return res.status(404).json({
+          success: false,
+          message: 'Term not found'
+        });
+      }
+    } else if (!req.body.academicTerm) {
+      term = await getCurrentTerm();
+      if (!term) {
+        return res.status(400).json({
+          success: false,
+          message: 'Academic term is required when no current term is set'
+        });
+      }
+    }
+    const academicTerm = term ? term.label : req.body.academicTerm;
+
+    const student = await db.get('SELECT id FROM students WHERE id = ?', [studentId]);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    // Prevent the same receipt from being recorded twice
+    if (paymentReference) {
+      const existingPayment = await db.get(
+        'SELECT id FROM payments WHERE payment_reference = ? AND status = ?',
+        [paymentReference, 'confirmed']
+      );
+
+      if (existingPayment) {
+        return res.status(409).json({
+          success: false,
+          message: 'A payment with this reference has already been recorded'
+        });
+      }
+    }
+
+    const result = await db.run(
+      `INSERT INTO payments (student_id, amount, payment_method, payment_reference, payment_date, academic_term, term_id, status, notes)
+       VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, 'confirmed', ?)`,
+      [studentId, amount, paymentMethod, paymentReference, paymentDate, academicTerm, term ? term.id : null, notes]
+    );
+
+    const summary = await refreshPaymentStatus(studentId, academicTerm, term ? term.id : null);
+
+    await recordAudit(req, {
+      action: 'payment.record',
+      entityType: 'payment',
+      entityId: result.id,
+      before: null,
+      after: await db.get('SELECT * FROM payments WHERE id = ?', [result.id])
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        paymentId: result.id,
+        ...summary
+      }
+    });
+
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment'
+    });
+  }
+});
+
+// Get all payments
+router.get('/', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const { student_id, academic_term, term_id, status } = req.query;
+
+    const paging = readPaging(req.query);
+    if (paging.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: paging.errors
+      });
+    }
+
+    let where = ' WHERE 1=1';
+    let params = [];
+
+    if (student_id) {
+      where += ' AND p.student_id = ?';
+      params.push(student_id);
+    }
+
+    if (academic_term) {
+      where += ' AND p.academic_term = ?';
+      params.push(academic_term);
+    }
+
+    if (term_id) {
+      where += ' AND p.term_id = ?';
+      params.push(term_id);
+    }
+
+    if (status) {
+      where += ' AND p.status = ?';
+      params.push(status);
+    }
+
+    const payments = await db.all(
+      `SELECT p.*, s.student_name, s.section
+       FROM payments p
+       JOIN students s ON s.id = p.student_id` + where +
+      ' ORDER BY p.payment_date DESC, p.id DESC LIMIT ? OFFSET ?',
+      [...params, paging.limit, paging.offset]
+    );
+
+    const { total } = await db.get('SELECT COUNT(*) as total FROM payments p' + where, params);
+
+    res.json({
+      success: true,
+      data: payments,
+      pagination: paginate(paging, total)
+    });
+
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments'
+    });
+  }
+});
+
+// Get payment history and balances for a student
+router.get('/student/:studentId', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const student = await db.get('SELECT * FROM students WHERE id = ?', [studentId]);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const { terms, payments } = await getPaymentHistory(student);
+
+    res.json({
+      success: true,
+      data: {
+        student: {
+          id: student.id,
+          student_name: student.student_name,
+          section: student.section,
+          payment_plan: student.payment_plan,
+          payment_status: student.payment_status
+        },
+        terms: terms,
+        payments: payments
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching student payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch student payments'
+    });
+  }
+});
+
+// Remind families of approved students who still owe fees for the current
+// term, by email and SMS. studentIds limits the reminders to those students.
+router.post('/reminders', requirePermission('payments:write'), [
+  body('studentIds').optional().isArray({ min: 1 }).withMessage('studentIds must be a non-empty list'),
+  body('studentIds.*').isInt({ min: 1 }).withMessage('studentIds must be valid student IDs').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const term = await getCurrentTerm();
+    if (!term) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a current term before sending fee reminders'
+      });
+    }
+
+    const { studentIds } = req.body;
+    let query = "SELECT * FROM students WHERE status = 'approved'";
+    const params = [];
+    if (studentIds) {
+      query += ` AND id IN (${studentIds.map(() => '?').join(', ')})`;
+      params.push(...studentIds);
+    }
+
+    const students = await db.all(query + ' ORDER BY id', params);
+    const reminded = [];
+
+    for (const student of students) {
+      const summary = await getTermSummary(student, term.label, term.id);
+      if (!summary.balance) continue;
+
+      const channels = await notifyFamily(student, 'feeReminder', {
+        parentName: student.parent_name,
+        studentName: student.student_name,
+        section: student.section,
+        registrationId: student.reference_code,
+        termLabel: term.label,
+        amountDue: formatCurrency(summary.amount_due),
+        amountPaid: formatCurrency(summary.amount_paid),
+        balance: formatCurrency(summary.balance),
+        bankName: process.env.SCHOOL_BANK_NAME,
+        accountName: process.env.SCHOOL_ACCOUNT_NAME,
+        accountNumber: process.env.SCHOOL_ACCOUNT_NUMBER
+      });
+
+      reminded.push({
+        id: student.id,
+        student_name: student.student_name,
+        balance: summary.balance,
+        channels: channels
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'payment.reminders',
+      entityType: 'term',
+      entityId: term.id,
+      before: null,
+      after: { students: reminded.map(student => student.id) }
+    });
+
+    res.json({
+      success: true,
+      message: `Sent fee reminders for ${reminded.length} students`,
+      data: reminded
+    });
+
+  } catch (error) {
+    console.error('Error sending fee reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send fee reminders'
+    });
+  }
+});
+
+// Get single payment by ID
+router.get('/:id', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const payment = await db.get(
+      `SELECT p.*, s.student_name, s.section, s.payment_plan
+       FROM payments p
+       JOIN students s ON s.id = p.student_id
+       WHERE p.id = ?`,
+      [id]
+    );
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Error fetching payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment'
+    });
+  }
+});
+
+// Reverse a recorded payment
+router.patch('/:id/reverse', requirePermission('payments:write'), [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('A reason for the reversal is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const payment = await db.get('SELECT * FROM payments WHERE id = ?', [id]);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status === 'reversed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment has already been reversed'
+      });
+    }
+
+    const notes = [payment.notes, `Reversed by ${req.user.username}: ${reason}`].filter(Boolean).join('\n');
+    await db.run(
+      'UPDATE payments SET status = ?, notes = ? WHERE id = ?',
+      ['reversed', notes, id]
+    );
+
+    const summary = await refreshPaymentStatus(payment.student_id, payment.academic_term, payment.term_id);
+
+    await recordAudit(req, {
+      action: 'payment.reverse',
+      entityType: 'payment',
+      entityId: payment.id,
+      before: payment,
+      after: await db.get('SELECT * FROM payments WHERE id = ?', [id])
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment reversed successfully',
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Error reversing payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reverse payment'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,77 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { sendEmail } = require('../utils/email');
+const { renderEmail } = require('../utils/emailTemplates');
+const { renderSms, notifyFamily } = require('../utils/notifications');
+const { isSmsEnabled } = require('../utils/sms');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  WAITLISTED_STATUS,
+  applyStatusChange,
+  nextWaitlistPosition,
+  leaveWaitlist,
+  fillFromWaitlist,
+  sendPromotionNotices
+} = require('../utils/enrollment');
+const { getCurrentTerm, getSectionFees } = require('../utils/terms');
+const { getFeeDue, formatCurrency } = require('../utils/payments');
+const {
+  maxFileSize,
+  getDocumentType,
+  uploadDocuments,
+  checkFileTypes,
+  getDocumentPath,
+  saveFiles,
+  removeFiles
+} = require('../utils/documents');
+const { generateReferenceCode, phonesMatch } = require('../utils/references');
+const { registrationValidation, findDuplicateRegistration, checkSectionAge } = require('../utils/registrations');
+const { STUDENT_LIST, buildListQuery, paginate } = require('../utils/listQuery');
+const { recordAudit } = require('../utils/audit');
+const { getRecordByRegistration } = require('../utils/studentRecords');
 const router = express.Router();
 
-// Validation rules for registration
-const registrationValidation = [
-  body('parentName').trim().isLength({ min: 2, max: 100 }).withMessage('Parent name must be between 2-100 characters'),
-  body('phone').isMobilePhone().withMessage('Please provide a valid phone number'),
-  body('email').optional().isEmail().withMessage('Please provide a valid email address'),
-  body('studentName').trim().isLength({ min: 2, max: 100 }).withMessage('Student name must be between 2-100 characters'),
-  body('studentAge').isInt({ min: 3, max: 30 }).withMessage('Student age must be between 3-30 years'),
-  body('section').isIn(['Nursery', 'Primary', 'Islamiyya', 'Tahfiz', 'Higher Islamic', 'Mosque/Majlis']).withMessage('Please select a valid section'),
-  body('paymentPlan').isIn(['Termly Plan', 'Annual Plan']).withMessage('Please select a valid payment plan'),
-  body('comments').optional().isLength({ max: 500 }).withMessage('Comments must not exceed 500 characters')
+// Statuses that notify the family when a registration moves into them
+const STATUS_NOTICE_STATUSES = ['approved', 'rejected'];
+
+// Pick the template and data for the notice a family receives when their
+// registration is approved or rejected. Approvals quote the section's fees
+// for the current term.
+const buildStatusNotice = async (student, status, reason) => {
+  const data = {
+    parentName: student.parent_name,
+    studentName: student.student_name,
+    section: student.section,
+    registrationId: student.reference_code
+  };
+
+  if (status === 'rejected') {
+    return { template: 'registrationRejected', data: { ...data, reason } };
+  }
+
+  const section = await db.get('SELECT * FROM sections WHERE name = ?', [student.section]);
+  const term = await getCurrentTerm();
+  const fees = section ? await getSectionFees(section, term && term.session_id) : null;
+  const amountDue = getFeeDue(student, fees);
+
+  return {
+    template: 'registrationApproved',
+    data: {
+      ...data,
+      paymentPlan: student.payment_plan,
+      termLabel: term ? term.label : null,
+      amountDue: amountDue !== null ? formatCurrency(amountDue) : null,
+      bankName: process.env.SCHOOL_BANK_NAME,
+      accountName: process.env.SCHOOL_ACCOUNT_NAME,
+      accountNumber: process.env.SCHOOL_ACCOUNT_NUMBER
+    }
+  };
+};
+
+const statusEmailValidation = [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters'),
+  body('notify').optional().isBoolean().withMessage('notify must be true or false').toBoolean()
 ];
 
 // Register a new student
@@ -40,91 +98,79 @@ router.post('/', registrationValidation, async (req, res) => {
       comments
     } = req.body;
 
-    // Check if student already exists
-    const existingStudent = await db.get(
-      'SELECT id FROM students WHERE student_name = ? AND parent_name = ? AND phone = ?',
-      [studentName, parentName, phone]
-    );
+    // Check for duplicates, read the section's capacity and insert the
+    // registration in one transaction so concurrent sign-ups see a consistent count
+    const currentTerm = await getCurrentTerm();
+    const { outcome, reference, waitlistPosition, ageError } = await db.transaction(async (tx) => {
+      const existingStudent = await findDuplicateRegistration(studentName, parentName, phone);
+      if (existingStudent) return { outcome: 'duplicate' };
+
+      const sectionInfo = await tx.get(
+        'SELECT * FROM sections WHERE name = ? AND is_active = 1',
+        [section]
+      );
+      if (!sectionInfo) return { outcome: 'unavailable' };
+
+      const ageError = checkSectionAge(sectionInfo, studentAge);
+      if (ageError) return { outcome: 'wrong_age', ageError };
+
+      // Join the waitlist if the section is full
+      const isFull = sectionInfo.current_enrollment >= sectionInfo.capacity;
+      const position = isFull ? await nextWaitlistPosition(section) : null;
+
+      const referenceCode = generateReferenceCode();
+      await tx.run(
+        `INSERT INTO students (student_name, student_age, parent_name, phone, email, section, payment_plan, comments, status, waitlist_position, term_id, reference_code)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [studentName, studentAge, parentName, phone, email, section, paymentPlan, comments, isFull ? WAITLISTED_STATUS : 'pending', position, currentTerm ? currentTerm.id : null, referenceCode]
+      );
+
+      return { outcome: 'created', reference: referenceCode, waitlistPosition: position };
+    });
 
-    if (existingStudent) {
+    if (outcome === 'duplicate') {
       return res.status(409).json({
         success: false,
         message: 'A student with this information is already registered'
       });
     }
 
-    // Get section information for capacity check
-    const sectionInfo = await db.get(
-      'SELECT * FROM sections WHERE name = ? AND is_active = 1',
-      [section]
-    );
-
-    if (!sectionInfo) {
+    if (outcome === 'unavailable') {
       return res.status(400).json({
         success: false,
         message: 'Selected section is not available'
       });
     }
 
-    // Check capacity
-    if (sectionInfo.current_enrollment >= sectionInfo.capacity) {
+    if (outcome === 'wrong_age') {
       return res.status(400).json({
         success: false,
-        message: 'Selected section is at full capacity'
+        message: ageError
       });
     }
 
-    // Insert new student registration
-    const result = await db.run(
-      `INSERT INTO students (student_name, student_age, parent_name, phone, email, section, payment_plan, comments)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [studentName, studentAge, parentName, phone, email, section, paymentPlan, comments]
-    );
-
-    // Update section enrollment count
-    await db.run(
-      'UPDATE sections SET current_enrollment = current_enrollment + 1 WHERE name = ?',
-      [section]
-    );
-
-    // Send confirmation email if email provided
-    if (email) {
-      try {
-        await sendEmail({
-          to: email,
-          subject: 'Registration Confirmation - Musab Bin Umair Memorial School',
-          html: `
-            <h2>Registration Confirmation</h2>
-            <p>Dear ${parentName},</p>
-            <p>Thank you for registering ${studentName} at Musab Bin Umair Memorial School.</p>
-            <h3>Registration Details:</h3>
-            <ul>
-              <li><strong>Student:</strong> ${studentName}</li>
-              <li><strong>Age:</strong> ${studentAge} years</li>
-              <li><strong>Section:</strong> ${section}</li>
-              <li><strong>Payment Plan:</strong> ${paymentPlan}</li>
-              <li><strong>Registration ID:</strong> MBU${result.id.toString().padStart(6, '0')}</li>
-            </ul>
-            <p>We will contact you soon with further instructions regarding payment and enrollment.</p>
-            <p>May Allah bless your child's educational journey with us.</p>
-            <p><strong>Musab Bin Umair Memorial School</strong><br>
-            Phone: ${process.env.SCHOOL_PHONE}<br>
-            Email: ${process.env.SCHOOL_EMAIL}</p>
-          `
-        });
-      } catch (emailError) {
-        console.error('Failed to send confirmation email:', emailError);
-      }
-    }
+    // Confirm by email and SMS, whichever the family gave
+    await notifyFamily({ email, phone }, 'registrationConfirmation', {
+      parentName,
+      studentName,
+      studentAge,
+      section,
+      paymentPlan,
+      registrationId: reference,
+      waitlistPosition
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful',
+      message: waitlistPosition
+        ? `Registration received. The section is full, so you have been placed on the waitlist at position ${waitlistPosition}.`
+        : 'Registration successful',
       data: {
-        registrationId: `MBU${result.id.toString().padStart(6, '0')}`,
-        studentId: result.id,
+        registrationId: reference,
         section: section,
-        paymentPlan: paymentPlan
+        paymentPlan: paymentPlan,
+        status: waitlistPosition ? WAITLISTED_STATUS : 'pending',
+        waitlistPosition: waitlistPosition
       }
     });
 
@@ -137,68 +183,90 @@ router.post('/', registrationValidation, async (req, res) => {
   }
 });
 
-// Get all registrations (admin only)
-router.get('/', async (req, res) => {
+// Get all registrations (admin only). Filters, sorting and paging are
+// described by STUDENT_LIST in utils/listQuery.
+router.get('/', authenticateToken, requirePermission('registrations:read'), async (req, res) => {
   try {
-    const { status, section, page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = 'SELECT * FROM students WHERE 1=1';
-    let params = [];
-
-    if (status) {
-      query += ' AND status = ?';
-      params.push(status);
+    const list = buildListQuery(STUDENT_LIST, req.query);
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: list.errors
+      });
     }
 
-    if (section) {
-      query += ' AND section = ?';
-      params.push(section);
-    }
+    const students = await db.all(
+      `SELECT * FROM students ${list.where} ${list.orderBy} LIMIT ? OFFSET ?`,
+      [...list.params, list.limit, list.offset]
+    );
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), offset);
+    // Get total count for pagination
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM students ${list.where}`, list.params);
 
-    const students = await db.all(query, params);
+    res.json({
+      success: true,
+      data: students,
+      pagination: paginate(list, total)
+    });
 
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) as total FROM students WHERE 1=1';
-    let countParams = [];
+  } catch (error) {
+    console.error('Error fetching registrations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registrations'
+    });
+  }
+});
 
-    if (status) {
-      countQuery += ' AND status = ?';
-      countParams.push(status);
+// Public status lookup. The parent's phone number is required as a second
+// factor, and only the status fields are returned.
+router.get('/status/:reference', [
+  query('phone').notEmpty().withMessage('Phone number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    if (section) {
-      countQuery += ' AND section = ?';
-      countParams.push(section);
-    }
+    const student = await db.get(
+      'SELECT reference_code, phone, status, section, payment_status FROM students WHERE reference_code = ?',
+      [req.params.reference.trim().toUpperCase()]
+    );
 
-    const { total } = await db.get(countQuery, countParams);
+    if (!student || !phonesMatch(student.phone, req.query.phone)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No registration matches that reference and phone number'
+      });
+    }
 
     res.json({
       success: true,
-      data: students,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: total,
-        pages: Math.ceil(total / limit)
+      data: {
+        reference: student.reference_code,
+        status: student.status,
+        section: student.section,
+        payment_status: student.payment_status
       }
     });
 
   } catch (error) {
-    console.error('Error fetching registrations:', error);
+    console.error('Error looking up registration status:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch registrations'
+      message: 'Failed to look up registration status'
     });
   }
 });
 
 // Get single registration by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('registrations:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const student = await db.get('SELECT * FROM students WHERE id = ?', [id]);
@@ -224,34 +292,290 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update registration status
-router.patch('/:id/status', async (req, res) => {
+// Parse uploaded documents, turning upload errors into validation responses
+const handleDocumentUpload = (req, res, next) => {
+  uploadDocuments(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `Each file must be smaller than ${Math.round(maxFileSize / (1024 * 1024))}MB`
+          : err.message
+      });
+    }
+    next(err);
+  });
+};
+
+// Attach documents to a registration. Families don't see the registration's
+// numeric ID, which could also be guessed, so this takes the reference code
+// from their confirmation instead. They must send the phone number used to
+// register so documents cannot be added to someone else's record.
+router.post('/:reference/documents', handleDocumentUpload, async (req, res) => {
+  const files = Object.values(req.files || {}).flat();
+
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach at least one document'
+      });
+    }
 
-    if (!['pending', 'approved', 'rejected'].includes(status)) {
+    const student = await db.get(
+      'SELECT id, phone FROM students WHERE reference_code = ?',
+      [req.params.reference.trim().toUpperCase()]
+    );
+    if (!student || !phonesMatch(student.phone, req.body.phone)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    const typeError = checkFileTypes(files);
+    if (typeError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be pending, approved, or rejected'
+        message: typeError
       });
     }
 
-    const result = await db.run(
-      'UPDATE students SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [status, id]
+    await saveFiles(files);
+    const documents = await db.transaction(async (tx) => {
+      const saved = [];
+      for (const file of files) {
+        const result = await tx.run(
+          `INSERT INTO student_documents (student_id, document_type, original_name, stored_name, mime_type, size)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [student.id, getDocumentType(file.fieldname), file.originalname, file.filename, file.mimetype, file.size]
+        );
+        saved.push(await tx.get(
+          'SELECT id, document_type, original_name, mime_type, size, created_at FROM student_documents WHERE id = ?',
+          [result.id]
+        ));
+      }
+      return saved;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents uploaded successfully',
+      data: documents
+    });
+
+  } catch (error) {
+    removeFiles(files);
+    console.error('Error uploading documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload documents'
+    });
+  }
+});
+
+// List documents attached to a registration (admin only)
+router.get('/:id/documents', authenticateToken, requirePermission('registrations:read'), async (req, res) => {
+  try {
+    const documents = await db.all(
+      `SELECT id, document_type, original_name, mime_type, size, created_at
+       FROM student_documents WHERE student_id = ? ORDER BY created_at`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: documents
+    });
+
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch documents'
+    });
+  }
+});
+
+// Download a registration document (admin only)
+router.get('/:id/documents/:documentId', authenticateToken, requirePermission('registrations:read'), async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const document = await db.get(
+      'SELECT * FROM student_documents WHERE id = ? AND student_id = ?',
+      [documentId, id]
     );
 
-    if (result.changes === 0) {
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.download(getDocumentPath(document.stored_name), document.original_name, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Error sending document:', err);
+        res.status(404).json({
+          success: false,
+          message: 'Document file is missing'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download document'
+    });
+  }
+});
+
+// Preview the email and text message a status change would send, without changing anything
+router.post('/:id/status/preview', authenticateToken, requirePermission('registrations:approve'), statusEmailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, reason } = req.body;
+
+    if (!STATUS_NOTICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Families are only notified when a registration is approved or rejected'
+      });
+    }
+
+    const student = await db.get('SELECT * FROM students WHERE id = ?', [req.params.id]);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    const { template, data } = await buildStatusNotice(student, status, reason);
+
+    res.json({
+      success: true,
+      data: {
+        to: student.email,
+        ...await renderEmail(template, data),
+        sms: student.phone && isSmsEnabled()
+          ? { to: student.phone, message: await renderSms(template, data) }
+          : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error previewing status email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview status email'
+    });
+  }
+});
+
+// Update registration status. Approvals and rejections notify the family by
+// email and SMS unless the request sets notify to false.
+router.patch('/:id/status', authenticateToken, requirePermission('registrations:approve'), statusEmailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { status, reason, notify = true } = req.body;
+
+    if (!['pending', 'approved', 'rejected', 'withdrawn'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be pending, approved, rejected, or withdrawn'
+      });
+    }
+
+    // Update the status and the section's enrollment count together,
+    // promoting the next waitlisted family if a seat was freed
+    const { outcome, student, promoted = [] } = await db.transaction(async (tx) => {
+      const student = await tx.get('SELECT * FROM students WHERE id = ?', [id]);
+      if (!student) return { outcome: 'not_found' };
+
+      // Enrolled pupils leave through their student record instead
+      if (await getRecordByRegistration(student.id)) return { outcome: 'enrolled' };
+
+      const seatAvailable = await applyStatusChange(student.section, student.status, status);
+      if (!seatAvailable) return { outcome: 'full' };
+
+      await tx.run(
+        'UPDATE students SET status = ?, waitlist_position = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, id]
+      );
+
+      if (student.status === WAITLISTED_STATUS) {
+        await leaveWaitlist(student.section, student.waitlist_position);
+      }
+
+      return { outcome: 'updated', student, promoted: await fillFromWaitlist(student.section) };
+    });
+
+    if (outcome === 'not_found') {
       return res.status(404).json({
         success: false,
         message: 'Registration not found'
       });
     }
 
+    if (outcome === 'full') {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected section is at full capacity'
+      });
+    }
+
+    if (outcome === 'enrolled') {
+      return res.status(409).json({
+        success: false,
+        message: 'This registration has been enrolled. Withdraw, transfer or graduate the student from their student record instead.'
+      });
+    }
+
+    await sendPromotionNotices(promoted);
+
+    // Let the family know about the decision unless the admin suppressed it
+    let channels = [];
+    if (notify && student.status !== status && STATUS_NOTICE_STATUSES.includes(status)) {
+      const { template, data } = await buildStatusNotice(student, status, reason);
+      channels = await notifyFamily(student, template, data);
+    }
+
+    await recordAudit(req, {
+      action: 'registration.status_change',
+      entityType: 'student',
+      entityId: student.id,
+      before: { status: student.status, waitlist_position: student.waitlist_position },
+      after: { status, reason, notified: channels, promoted: promoted.map(promotedStudent => promotedStudent.id) }
+    });
+
     res.json({
       success: true,
-      message: 'Registration status updated successfully'
+      message: 'Registration status updated successfully',
+      data: {
+        notified: channels.length > 0,
+        channels: channels,
+        promoted: promoted.map(promotedStudent => promotedStudent.id)
+      }
     });
 
   } catch (error) {
@@ -1,7 +1,63 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { WAITLISTED_STATUS, fillFromWaitlist, sendPromotionNotices } = require('../utils/enrollment');
+const { resolveTermFilter, getSectionFees } = require('../utils/terms');
+const { STUDENT_LIST, buildListQuery, paginate } = require('../utils/listQuery');
+const { recordAudit } = require('../utils/audit');
 const router = express.Router();
 
+// Request body fields and the sections columns they map to
+const SECTION_FIELDS = {
+  name: 'name',
+  description: 'description',
+  capacity: 'capacity',
+  feeTermly: 'fee_termly',
+  feeAnnual: 'fee_annual',
+  ageMin: 'age_min',
+  ageMax: 'age_max',
+  isActive: 'is_active'
+};
+
+// Validation rules for section create/update; PATCH makes every field optional
+const sectionValidation = (partial = false) => {
+  const field = (name) => partial ? body(name).optional() : body(name);
+  const optionalField = (name) => body(name).optional({ nullable: true });
+
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2-100 characters'),
+    optionalField('description').trim().isLength({ max: 500 }).withMessage('Description must not exceed 500 characters'),
+    field('capacity').isInt({ min: 1 }).toInt().withMessage('Capacity must be a positive whole number'),
+    field('feeTermly').isFloat({ min: 0 }).toFloat().withMessage('Termly fee must be zero or more'),
+    field('feeAnnual').isFloat({ min: 0 }).toFloat().withMessage('Annual fee must be zero or more'),
+    optionalField('ageMin').isInt({ min: 0, max: 120 }).toInt().withMessage('Minimum age must be between 0-120'),
+    optionalField('ageMax').isInt({ min: 0, max: 120 }).toInt().withMessage('Maximum age must be between 0-120'),
+    body('isActive').optional().isBoolean().toBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// Check rules that depend on more than one field or on existing data
+const validateSectionRules = async (section, existing = null) => {
+  if (section.age_min !== null && section.age_max !== null && section.age_min > section.age_max) {
+    return 'Minimum age cannot be greater than maximum age';
+  }
+
+  if (existing && section.capacity < existing.current_enrollment) {
+    return `Capacity cannot be below current enrollment (${existing.current_enrollment})`;
+  }
+
+  const duplicate = await db.get(
+    'SELECT id FROM sections WHERE name = ? AND id != ?',
+    [section.name, existing ? existing.id : 0]
+  );
+  if (duplicate) {
+    return 'A section with this name already exists';
+  }
+
+  return null;
+};
+
 // Get all sections with enrollment information
 router.get('/', async (req, res) => {
   try {
@@ -12,7 +68,7 @@ router.get('/', async (req, res) => {
         (s.capacity - s.current_enrollment) as available_spots
       FROM sections s
       LEFT JOIN students st ON s.name = st.section AND st.status = 'approved'
-      WHERE s.is_active = 1
+      ${req.query.include_inactive === 'true' ? '' : 'WHERE s.is_active = 1'}
       GROUP BY s.id
       ORDER BY s.name
     `);
@@ -80,11 +136,9 @@ router.get('/:identifier', async (req, res) => {
 });
 
 // Get students in a specific section
-router.get('/:sectionName/students', async (req, res) => {
+router.get('/:sectionName/students', authenticateToken, requirePermission('registrations:read'), async (req, res) => {
   try {
     const { sectionName } = req.params;
-    const { status, page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
 
     // Verify section exists
     const section = await db.get('SELECT * FROM sections WHERE name = ?', [sectionName]);
@@ -95,41 +149,29 @@ router.get('/:sectionName/students', async (req, res) => {
       });
     }
 
-    let query = 'SELECT * FROM students WHERE section = ?';
-    let params = [sectionName];
-
-    if (status) {
-      query += ' AND status = ?';
-      params.push(status);
+    const list = buildListQuery(STUDENT_LIST, req.query, { conditions: ['section = ?'], params: [sectionName] });
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: list.errors
+      });
     }
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), offset);
-
-    const students = await db.all(query, params);
+    const students = await db.all(
+      `SELECT * FROM students ${list.where} ${list.orderBy} LIMIT ? OFFSET ?`,
+      [...list.params, list.limit, list.offset]
+    );
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM students WHERE section = ?';
-    let countParams = [sectionName];
-
-    if (status) {
-      countQuery += ' AND status = ?';
-      countParams.push(status);
-    }
-
-    const { total } = await db.get(countQuery, countParams);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM students ${list.where}`, list.params);
 
     res.json({
       success: true,
       data: {
         section: section,
         students: students,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: paginate(list, total)
       }
     });
 
@@ -142,6 +184,114 @@ router.get('/:sectionName/students', async (req, res) => {
   }
 });
 
+// Get the waitlist for a section in queue order
+router.get('/:sectionName/waitlist', authenticateToken, requirePermission('registrations:read'), async (req, res) => {
+  try {
+    const { sectionName } = req.params;
+
+    const section = await db.get('SELECT * FROM sections WHERE name = ?', [sectionName]);
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    const waitlist = await db.all(
+      `SELECT id, student_name, student_age, parent_name, phone, email, waitlist_position, created_at
+       FROM students
+       WHERE section = ? AND status = ?
+       ORDER BY waitlist_position`,
+      [sectionName, WAITLISTED_STATUS]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        section: section,
+        waitlist: waitlist
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching section waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch section waitlist'
+    });
+  }
+});
+
+// Reorder the waitlist for a section
+router.put('/:sectionName/waitlist', authenticateToken, requirePermission('registrations:approve'), [
+  body('studentIds').isArray({ min: 1 }).withMessage('studentIds must list the waitlisted registrations in order'),
+  body('studentIds.*').isInt({ min: 1 }).toInt().withMessage('studentIds must contain registration IDs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sectionName } = req.params;
+    const { studentIds } = req.body;
+
+    // Returns the previous order, or null if the new order doesn't match the waitlist
+    const previousOrder = await db.transaction(async () => {
+      const waitlisted = await db.all(
+        'SELECT id FROM students WHERE section = ? AND status = ? ORDER BY waitlist_position',
+        [sectionName, WAITLISTED_STATUS]
+      );
+
+      // The new order must contain every waitlisted registration exactly once
+      const currentIds = waitlisted.map(student => student.id).sort((a, b) => a - b);
+      const requestedIds = [...studentIds].sort((a, b) => a - b);
+      if (currentIds.length !== requestedIds.length || currentIds.some((id, i) => id !== requestedIds[i])) {
+        return null;
+      }
+
+      for (const [index, studentId] of studentIds.entries()) {
+        await db.run(
+          'UPDATE students SET waitlist_position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [index + 1, studentId]
+        );
+      }
+      return waitlisted.map(student => student.id);
+    });
+
+    if (!previousOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'studentIds must include every waitlisted registration in this section exactly once'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'waitlist.reorder',
+      entityType: 'section',
+      entityId: sectionName,
+      before: { order: previousOrder },
+      after: { order: studentIds }
+    });
+
+    res.json({
+      success: true,
+      message: 'Waitlist reordered successfully'
+    });
+
+  } catch (error) {
+    console.error('Error reordering section waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder section waitlist'
+    });
+  }
+});
+
 // Get section statistics
 router.get('/:sectionName/stats', async (req, res) => {
   try {
@@ -156,6 +306,18 @@ router.get('/:sectionName/stats', async (req, res) => {
       });
     }
 
+    // Optionally limit statistics to one term (?term_id=<id> or ?term_id=current)
+    const term = await resolveTermFilter(req.query.term_id);
+    if (term === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+
+    const termFilter = term ? 'AND term_id = ?' : '';
+    const params = term ? [sectionName, term.id] : [sectionName];
+
     // Get comprehensive statistics
     const stats = await db.get(`
       SELECT 
@@ -169,29 +331,31 @@ router.get('/:sectionName/stats', async (req, res) => {
         MIN(student_age) as youngest_student,
         MAX(student_age) as oldest_student
       FROM students 
-      WHERE section = ?
-    `, [sectionName]);
+      WHERE section = ? ${termFilter}
+    `, params);
 
-    // Get monthly registration trends (last 6 months)
+    // Get monthly registration trends (the term's months, or the last 6 months)
     const monthlyTrends = await db.all(`
       SELECT 
         strftime('%Y-%m', created_at) as month,
         COUNT(*) as registrations
       FROM students 
       WHERE section = ? 
-        AND created_at >= date('now', '-6 months')
+        ${term ? termFilter : "AND created_at >= date('now', '-6 months')"}
       GROUP BY strftime('%Y-%m', created_at)
       ORDER BY month DESC
-    `, [sectionName]);
+    `, params);
 
     res.json({
       success: true,
       data: {
         section: section,
+        term: term || null,
+        fees: await getSectionFees(section, term && term.session_id),
         statistics: {
           ...stats,
-          capacity_utilization: ((stats.approved_registrations / section.capacity) * 100).toFixed(1),
-          available_spots: section.capacity - stats.approved_registrations
+          capacity_utilization: ((section.current_enrollment / section.capacity) * 100).toFixed(1),
+          available_spots: section.capacity - section.current_enrollment
         },
         monthly_trends: monthlyTrends
       }
@@ -206,4 +370,212 @@ router.get('/:sectionName/stats', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Create a new section
+router.post('/', authenticateToken, requirePermission('sections:write'), sectionValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const section = { description: null, age_min: null, age_max: null, is_active: true };
+    for (const [field, column] of Object.entries(SECTION_FIELDS)) {
+      if (req.body[field] !== undefined) section[column] = req.body[field];
+    }
+
+    const ruleError = await validateSectionRules(section);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const result = await db.run(
+      `INSERT INTO sections (name, description, capacity, fee_termly, fee_annual, age_min, age_max, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [section.name, section.description, section.capacity, section.fee_termly, section.fee_annual, section.age_min, section.age_max, section.is_active ? 1 : 0]
+    );
+
+    const created = await db.get('SELECT * FROM sections WHERE id = ?', [result.id]);
+
+    await recordAudit(req, {
+      action: 'section.create',
+      entityType: 'section',
+      entityId: created.id,
+      before: null,
+      after: created
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Section created successfully',
+      data: created
+    });
+
+  } catch (error) {
+    console.error('Error creating section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create section'
+    });
+  }
+});
+
+// Update a section (PUT replaces every field, PATCH only the ones given)
+const updateSection = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const existing = await db.get('SELECT * FROM sections WHERE id = ?', [id]);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    const updates = {};
+    for (const [field, column] of Object.entries(SECTION_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        updates[column] = column === 'is_active' ? (req.body[field] ? 1 : 0) : req.body[field];
+      } else if (req.method === 'PUT' && ['description', 'age_min', 'age_max'].includes(column)) {
+        updates[column] = null;
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    const section = { ...existing, ...updates };
+    const ruleError = await validateSectionRules(section, existing);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const columns = Object.keys(updates);
+    const promoted = await db.transaction(async () => {
+      await db.run(
+        `UPDATE sections SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...columns.map(column => updates[column]), id]
+      );
+
+      // Registrations and student records refer to their section by name
+      if (section.name !== existing.name) {
+        await db.run('UPDATE students SET section = ? WHERE section = ?', [section.name, existing.name]);
+        await db.run(
+          'UPDATE student_records SET section = ?, updated_at = CURRENT_TIMESTAMP WHERE section = ?',
+          [section.name, existing.name]
+        );
+      }
+
+      // Extra capacity goes to families on the waitlist first
+      return section.capacity > existing.capacity ? fillFromWaitlist(section.name) : [];
+    });
+
+    await sendPromotionNotices(promoted);
+
+    const updated = await db.get('SELECT * FROM sections WHERE id = ?', [id]);
+
+    await recordAudit(req, {
+      action: 'section.update',
+      entityType: 'section',
+      entityId: existing.id,
+      before: existing,
+      after: updated
+    });
+
+    res.json({
+      success: true,
+      message: 'Section updated successfully',
+      data: {
+        ...updated,
+        promoted: promoted.map(student => student.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update section'
+    });
+  }
+};
+
+router.put('/:id', authenticateToken, requirePermission('sections:write'), sectionValidation(), updateSection);
+router.patch('/:id', authenticateToken, requirePermission('sections:write'), sectionValidation(true), updateSection);
+
+// Delete a section that has no registrations
+router.delete('/:id', authenticateToken, requirePermission('sections:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const section = await db.get('SELECT * FROM sections WHERE id = ?', [id]);
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    // The section's fees for each session go with it
+    const { outcome, fees } = await db.transaction(async (tx) => {
+      const { count } = await tx.get('SELECT COUNT(*) as count FROM students WHERE section = ?', [section.name]);
+      if (count > 0) return { outcome: 'in_use' };
+
+      const fees = await tx.all('SELECT session_id, fee_termly, fee_annual FROM section_fees WHERE section_id = ?', [id]);
+      await tx.run('DELETE FROM section_fees WHERE section_id = ?', [id]);
+      await tx.run('DELETE FROM sections WHERE id = ?', [id]);
+      return { outcome: 'deleted', fees };
+    });
+
+    if (outcome === 'in_use') {
+      return res.status(409).json({
+        success: false,
+        message: 'This section has registrations. Deactivate it instead of deleting it.'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'section.delete',
+      entityType: 'section',
+      entityId: section.id,
+      before: { ...section, fees },
+      after: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Section deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete section'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,482 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ENROLLED_STATUS, sendPromotionNotices } = require('../utils/enrollment');
+const { STUDENT_RECORD_LIST, buildListQuery, paginate } = require('../utils/listQuery');
+const { recordAudit } = require('../utils/audit');
+const {
+  PROFILE_FIELDS,
+  nextAdmissionNumber,
+  getRecord,
+  getRecordByRegistration,
+  leaveSchool,
+  transferSection
+} = require('../utils/studentRecords');
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const profileValidation = [
+  body('fullName').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Full name must be between 2-100 characters'),
+  body('dateOfBirth').optional({ values: 'null' }).isISO8601().withMessage('Date of birth must be a valid date (YYYY-MM-DD)'),
+  body('gender').optional({ values: 'null' }).isIn(['male', 'female']).withMessage('Gender must be male or female'),
+  body('classPlacement').optional({ values: 'null' }).trim().isLength({ max: 50 }).withMessage('Class placement must not exceed 50 characters'),
+  body('guardianName').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Guardian name must be between 2-100 characters'),
+  body('guardianPhone').optional().isMobilePhone().withMessage('Please provide a valid guardian phone number'),
+  body('guardianEmail').optional({ values: 'null' }).isEmail().withMessage('Please provide a valid guardian email address'),
+  body('guardianAddress').optional({ values: 'null' }).trim().isLength({ max: 300 }).withMessage('Guardian address must not exceed 300 characters'),
+  body('medicalNotes').optional({ values: 'null' }).trim().isLength({ max: 1000 }).withMessage('Medical notes must not exceed 1000 characters')
+];
+
+const leavingValidation = [
+  body('date').optional().isISO8601().withMessage('Date must be a valid date (YYYY-MM-DD)'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
+];
+
+// Look up the record for :id and make sure the pupil is still enrolled
+const findEnrolledRecord = async (id, res) => {
+  const record = await getRecord(id);
+  if (!record) {
+    res.status(404).json({
+      success: false,
+      message: 'Student record not found'
+    });
+    return null;
+  }
+  if (record.status !== 'enrolled') {
+    res.status(400).json({
+      success: false,
+      message: `This student is no longer enrolled (${record.status})`
+    });
+    return null;
+  }
+  return record;
+};
+
+// List student records. Filters, sorting and paging are described by
+// STUDENT_RECORD_LIST in utils/listQuery.
+router.get('/', requirePermission('registrations:read'), async (req, res) => {
+  try {
+    const list = buildListQuery(STUDENT_RECORD_LIST, req.query);
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query',
+        errors: list.errors
+      });
+    }
+
+    const records = await db.all(
+      `SELECT * FROM student_records ${list.where} ${list.orderBy} LIMIT ? OFFSET ?`,
+      [...list.params, list.limit, list.offset]
+    );
+
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM student_records ${list.where}`, list.params);
+
+    res.json({
+      success: true,
+      data: records,
+      pagination: paginate(list, total)
+    });
+
+  } catch (error) {
+    console.error('Error fetching student records:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch student records'
+    });
+  }
+});
+
+// Enroll an approved registration as a student with an admission number.
+// Profile fields not given are copied from the registration.
+router.post('/', requirePermission('students:write'), [
+  body('registrationId').isInt({ min: 1 }).withMessage('registrationId must be a registration ID').toInt(),
+  body('enrolledOn').optional().isISO8601().withMessage('Enrollment date must be a valid date (YYYY-MM-DD)'),
+  ...profileValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { registrationId, enrolledOn = today() } = req.body;
+
+    const { outcome, record } = await db.transaction(async (tx) => {
+      const registration = await tx.get('SELECT * FROM students WHERE id = ?', [registrationId]);
+      if (!registration) return { outcome: 'not_found' };
+      if (registration.status !== ENROLLED_STATUS) return { outcome: 'not_approved' };
+      if (await getRecordByRegistration(registrationId)) return { outcome: 'exists' };
+
+      const profile = {
+        full_name: registration.student_name,
+        guardian_name: registration.parent_name,
+        guardian_phone: registration.phone,
+        guardian_email: registration.email
+      };
+      for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+        if (req.body[field] !== undefined) profile[column] = req.body[field];
+      }
+
+      const columns = Object.keys(profile);
+      const admissionNumber = await nextAdmissionNumber(enrolledOn);
+      const result = await tx.run(
+        `INSERT INTO student_records (registration_id, admission_number, section, enrolled_on, created_by, ${columns.join(', ')})
+         VALUES (?, ?, ?, ?, ?, ${columns.map(() => '?').join(', ')})`,
+        [registrationId, admissionNumber, registration.section, enrolledOn, req.user.id, ...Object.values(profile)]
+      );
+
+      return { outcome: 'created', record: await getRecord(result.id) };
+    });
+
+    if (outcome === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (outcome === 'not_approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved registrations can be enrolled'
+      });
+    }
+
+    if (outcome === 'exists') {
+      return res.status(409).json({
+        success: false,
+        message: 'This registration has already been enrolled'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'student.enroll',
+      entityType: 'student_record',
+      entityId: record.id,
+      after: record
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Student enrolled with admission number ${record.admission_number}`,
+      data: record
+    });
+
+  } catch (error) {
+    console.error('Error enrolling student:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enroll student'
+    });
+  }
+});
+
+// Get a student's full profile with their application and documents
+router.get('/:id', requirePermission('registrations:read'), async (req, res) => {
+  try {
+    const record = await getRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student record not found'
+      });
+    }
+
+    const registration = await db.get(
+      `SELECT id, reference_code, status, payment_plan, payment_status, comments, created_at
+       FROM students WHERE id = ?`,
+      [record.registration_id]
+    );
+    const documents = await db.all(
+      `SELECT id, document_type, original_name, mime_type, size, created_at
+       FROM student_documents WHERE student_id = ? ORDER BY created_at`,
+      [record.registration_id]
+    );
+
+    res.json({
+      success: true,
+      data: { ...record, registration, documents }
+    });
+
+  } catch (error) {
+    console.error('Error fetching student record:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch student record'
+    });
+  }
+});
+
+// Update a student's profile. Only the fields sent are changed.
+router.patch('/:id', requirePermission('students:write'), profileValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await getRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student record not found'
+      });
+    }
+
+    const changes = Object.entries(PROFILE_FIELDS)
+      .filter(([field]) => req.body[field] !== undefined)
+      .map(([field, column]) => [column, req.body[field]]);
+
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Send at least one of: ${Object.keys(PROFILE_FIELDS).join(', ')}`
+      });
+    }
+
+    await db.run(
+      `UPDATE student_records SET ${changes.map(([column]) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...changes.map(([, value]) => value), record.id]
+    );
+
+    await recordAudit(req, {
+      action: 'student.update',
+      entityType: 'student_record',
+      entityId: record.id,
+      before: Object.fromEntries(changes.map(([column]) => [column, record[column]])),
+      after: Object.fromEntries(changes)
+    });
+
+    res.json({
+      success: true,
+      message: 'Student profile updated successfully',
+      data: await getRecord(record.id)
+    });
+
+  } catch (error) {
+    console.error('Error updating student record:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update student record'
+    });
+  }
+});
+
+// Withdraw a student from the school. Their seat goes to the section's waitlist.
+router.post('/:id/withdraw', requirePermission('students:write'), leavingValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await findEnrolledRecord(req.params.id, res);
+    if (!record) return;
+
+    const { date = today(), reason } = req.body;
+    const { outcome, promoted } = await leaveSchool(record, 'withdrawn', { leftOn: date, reason });
+    if (outcome === 'not_enrolled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This student is no longer enrolled'
+      });
+    }
+
+    await sendPromotionNotices(promoted);
+
+    await recordAudit(req, {
+      action: 'student.withdraw',
+      entityType: 'student_record',
+      entityId: record.id,
+      before: { status: record.status },
+      after: { status: 'withdrawn', left_on: date, reason, promoted: promoted.map(student => student.id) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Student withdrawn successfully',
+      data: await getRecord(record.id)
+    });
+
+  } catch (error) {
+    console.error('Error withdrawing student:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw student'
+    });
+  }
+});
+
+// Transfer a student. With a section, the student moves to that section if
+// it has a free seat. With a school, the student leaves to join that school.
+router.post('/:id/transfer', requirePermission('students:write'), [
+  ...leavingValidation,
+  body('section').optional().trim().notEmpty().withMessage('Section must not be empty'),
+  body('classPlacement').optional({ values: 'null' }).trim().isLength({ max: 50 }).withMessage('Class placement must not exceed 50 characters'),
+  body('school').optional().trim().isLength({ min: 2, max: 200 }).withMessage('School must be between 2-200 characters'),
+  body().custom(value => Boolean(value.section) !== Boolean(value.school)).withMessage('Send either a section or a school to transfer to')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await findEnrolledRecord(req.params.id, res);
+    if (!record) return;
+
+    const { section, classPlacement, school, date = today(), reason } = req.body;
+
+    if (school) {
+      const { outcome, promoted } = await leaveSchool(record, 'transferred', { leftOn: date, reason, transferredTo: school });
+      if (outcome === 'not_enrolled') {
+        return res.status(400).json({
+          success: false,
+          message: 'This student is no longer enrolled'
+        });
+      }
+
+      await sendPromotionNotices(promoted);
+
+      await recordAudit(req, {
+        action: 'student.transfer',
+        entityType: 'student_record',
+        entityId: record.id,
+        before: { status: record.status },
+        after: { status: 'transferred', transferred_to: school, left_on: date, reason, promoted: promoted.map(student => student.id) }
+      });
+
+      return res.json({
+        success: true,
+        message: `Student transferred to ${school}`,
+        data: await getRecord(record.id)
+      });
+    }
+
+    const target = await db.get('SELECT name FROM sections WHERE name = ? AND is_active = 1', [section]);
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected section is not available'
+      });
+    }
+
+    if (target.name === record.section) {
+      return res.status(400).json({
+        success: false,
+        message: 'The student is already in this section'
+      });
+    }
+
+    const { outcome, promoted } = await transferSection(record, target.name, classPlacement);
+    if (outcome === 'not_enrolled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This student is no longer enrolled'
+      });
+    }
+
+    if (outcome === 'full') {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected section is at full capacity'
+      });
+    }
+
+    await sendPromotionNotices(promoted);
+
+    await recordAudit(req, {
+      action: 'student.transfer',
+      entityType: 'student_record',
+      entityId: record.id,
+      before: { section: record.section, class_placement: record.class_placement },
+      after: { section: target.name, class_placement: classPlacement || null, promoted: promoted.map(student => student.id) }
+    });
+
+    res.json({
+      success: true,
+      message: `Student moved to ${target.name}`,
+      data: await getRecord(record.id)
+    });
+
+  } catch (error) {
+    console.error('Error transferring student:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transfer student'
+    });
+  }
+});
+
+// Graduate a student. Their seat goes to the section's waitlist.
+router.post('/:id/graduate', requirePermission('students:write'), leavingValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await findEnrolledRecord(req.params.id, res);
+    if (!record) return;
+
+    const { date = today(), reason } = req.body;
+    const { outcome, promoted } = await leaveSchool(record, 'graduated', { leftOn: date, reason });
+    if (outcome === 'not_enrolled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This student is no longer enrolled'
+      });
+    }
+
+    await sendPromotionNotices(promoted);
+
+    await recordAudit(req, {
+      action: 'student.graduate',
+      entityType: 'student_record',
+      entityId: record.id,
+      before: { status: record.status },
+      after: { status: 'graduated', left_on: date, promoted: promoted.map(student => student.id) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Student graduated successfully',
+      data: await getRecord(record.id)
+    });
+
+  } catch (error) {
+    console.error('Error graduating student:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to graduate student'
+    });
+  }
+});
+
+module.exports = router;
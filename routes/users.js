@@ -0,0 +1,346 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/roles');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Staff accounts can only be managed by super admins
+router.use(authenticateToken, requirePermission('staff:manage'));
+
+const USER_FIELDS = 'id, username, email, role, is_active, last_login, created_at, updated_at';
+
+// Make sure at least one active super admin remains after a change
+const isLastSuperAdmin = async (user) => {
+  if (user.role !== 'super_admin' || !user.is_active) return false;
+
+  const { count } = await db.get(
+    'SELECT COUNT(*) as count FROM admin_users WHERE role = ? AND is_active = 1',
+    ['super_admin']
+  );
+  return count <= 1;
+};
+
+// Get all admin users
+router.get('/', async (req, res) => {
+  try {
+    const users = await db.all(`SELECT ${USER_FIELDS} FROM admin_users ORDER BY username`);
+
+    res.json({
+      success: true,
+      data: users
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin users'
+    });
+  }
+});
+
+// Get the available roles and their permissions
+router.get('/roles', (req, res) => {
+  res.json({
+    success: true,
+    data: ROLE_PERMISSIONS
+  });
+});
+
+// Create a new admin user
+router.post('/', [
+  body('username').trim().isLength({ min: 3, max: 50 }).withMessage('Username must be between 3-50 characters')
+    .matches(/^[A-Za-z0-9._-]+$/).withMessage('Username can only contain letters, numbers, dots, dashes and underscores'),
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('role').optional().isIn(ROLES).withMessage('Please select a valid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { username, email, password, role = 'admin' } = req.body;
+
+    const existingUser = await db.get(
+      'SELECT id FROM admin_users WHERE username = ? OR email = ?',
+      [username, email]
+    );
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username or email already in use'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const result = await db.run(
+      `INSERT INTO admin_users (username, email, password_hash, role)
+       VALUES (?, ?, ?, ?)`,
+      [username, email, hashedPassword, role]
+    );
+
+    const user = await db.get(`SELECT ${USER_FIELDS} FROM admin_users WHERE id = ?`, [result.id]);
+
+    await recordAudit(req, {
+      action: 'user.create',
+      entityType: 'admin_user',
+      entityId: user.id,
+      before: null,
+      after: { username: user.username, email: user.email, role: user.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin user created successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create admin user'
+    });
+  }
+});
+
+// Change an admin user's role
+router.patch('/:id/role', [
+  body('role').isIn(ROLES).withMessage('Please select a valid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const user = await db.get('SELECT * FROM admin_users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin user not found'
+      });
+    }
+
+    if (role !== 'super_admin' && await isLastSuperAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the last active super admin'
+      });
+    }
+
+    await db.run(
+      'UPDATE admin_users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [role, id]
+    );
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      entityType: 'admin_user',
+      entityId: user.id,
+      before: { role: user.role },
+      after: { role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating admin role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+// Enable or disable an admin user
+router.patch('/:id/status', [
+  body('isActive').isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+    const user = await db.get('SELECT * FROM admin_users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin user not found'
+      });
+    }
+
+    if (!isActive && user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    if (!isActive && await isLastSuperAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot disable the last active super admin'
+      });
+    }
+
+    await db.run(
+      'UPDATE admin_users SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [isActive ? 1 : 0, id]
+    );
+
+    await recordAudit(req, {
+      action: 'user.status_change',
+      entityType: 'admin_user',
+      entityId: user.id,
+      before: { is_active: Boolean(user.is_active) },
+      after: { is_active: isActive }
+    });
+
+    res.json({
+      success: true,
+      message: `Admin user ${isActive ? 'enabled' : 'disabled'} successfully`
+    });
+
+  } catch (error) {
+    console.error('Error updating admin status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update admin status'
+    });
+  }
+});
+
+// Reset an admin user's password
+router.post('/:id/reset-password', [
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const user = await db.get('SELECT id, username FROM admin_users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin user not found'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.newPassword, 10);
+    await db.run(
+      'UPDATE admin_users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [hashedPassword, id]
+    );
+
+    // The password itself is never logged, only that it was reset
+    await recordAudit(req, {
+      action: 'user.password_reset',
+      entityType: 'admin_user',
+      entityId: user.id,
+      before: null,
+      after: { username: user.username, password_reset: true }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Error resetting admin password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Delete an admin user
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await db.get('SELECT * FROM admin_users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin user not found'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastSuperAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active super admin'
+      });
+    }
+
+    await db.run('DELETE FROM admin_users WHERE id = ?', [id]);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      entityType: 'admin_user',
+      entityId: user.id,
+      before: { username: user.username, email: user.email, role: user.role, is_active: Boolean(user.is_active) },
+      after: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin user deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting admin user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete admin user'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// Apply, roll back or list schema migrations
+//   npm run migrate                 apply pending migrations
+//   npm run migrate -- down [steps] roll back the last migration(s)
+//   npm run migrate -- status       list applied and pending migrations
+require('dotenv').config();
+
+const db = require('../config/database');
+const { loadMigrations, getAppliedMigrations, migrateDown } = require('../config/migrator');
+
+const [command = 'up', stepsArg] = process.argv.slice(2);
+
+const run = async () => {
+  switch (command) {
+    case 'up':
+      await db.init({ migrate: true });
+      break;
+
+    case 'down':
+      await db.connect();
+      await migrateDown(db, parseInt(stepsArg) || 1);
+      break;
+
+    case 'status': {
+      await db.connect();
+      const applied = new Map((await getAppliedMigrations(db)).map(m => [m.version, m.applied_at]));
+      loadMigrations().forEach(migration => {
+        const appliedAt = applied.get(migration.version);
+        console.log(`${appliedAt ? '✅' : '⏳'} ${migration.name}${appliedAt ? ` (applied ${appliedAt})` : ''}`);
+      });
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
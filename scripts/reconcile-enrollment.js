@@ -0,0 +1,20 @@
+// Recompute sections.current_enrollment from approved registrations
+require('dotenv').config();
+
+const db = require('../config/database');
+const { reconcileEnrollment } = require('../utils/enrollment');
+
+db.init()
+  .then(reconcileEnrollment)
+  .then(sections => {
+    sections.forEach(section => {
+      const change = section.previous === section.actual ? 'unchanged' : `was ${section.previous}`;
+      console.log(`${section.name}: ${section.actual} enrolled (${change})`);
+    });
+    console.log('✅ Enrollment counts reconciled');
+  })
+  .catch(err => {
+    console.error('Failed to reconcile enrollment:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
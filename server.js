@@ -12,7 +12,18 @@ const PORT = process.env.PORT || 3000;
 const registrationRoutes = require('./routes/registration');
 const contactRoutes = require('./routes/contact');
 const adminRoutes = require('./routes/admin');
+const userRoutes = require('./routes/users');
 const sectionRoutes = require('./routes/sections');
+const paymentRoutes = require('./routes/payments');
+const academicRoutes = require('./routes/academic');
+const parentRoutes = require('./routes/parents');
+const announcementRoutes = require('./routes/announcements');
+const outboxRoutes = require('./routes/outbox');
+const emailTemplateRoutes = require('./routes/emailTemplates');
+const importRoutes = require('./routes/import');
+const auditRoutes = require('./routes/audit');
+const studentRoutes = require('./routes/students');
+const { auditStaffChanges } = require('./middleware/audit');
 
 // Security middleware
 app.use(helmet({
@@ -41,11 +52,24 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
+// Record changes made by staff in the audit log
+app.use('/api/', auditStaffChanges);
+
 // API Routes
 app.use('/api/registration', registrationRoutes);
+app.use('/api/students', studentRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/admin/users', userRoutes);
+app.use('/api/admin/outbox', outboxRoutes);
+app.use('/api/admin/email-templates', emailTemplateRoutes);
+app.use('/api/admin/import', importRoutes);
+app.use('/api/admin/audit-log', auditRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/sections', sectionRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/academic', academicRoutes);
+app.use('/api/parents', parentRoutes);
+app.use('/api/announcements', announcementRoutes);
 
 // Serve the main HTML file for the root route
 app.get('/', (req, res) => {
@@ -80,18 +104,25 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Initialize database and start server
-const db = require('./config/database');
-db.init().then(() => {
-  app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`📚 Musab Bin Umair Memorial School API`);
-    console.log(`🌐 Frontend: http://localhost:${PORT}`);
-    console.log(`🔧 API: http://localhost:${PORT}/api`);
+// Initialize database and start server. Tests load the app without
+// starting it and set up their own database.
+if (require.main === module) {
+  const db = require('./config/database');
+  const { startEmailWorker } = require('./utils/outbox');
+  const { startAnnouncementWorker } = require('./utils/announcements');
+  db.init({ migrate: process.env.DB_AUTO_MIGRATE === 'true' }).then(async () => {
+    await startEmailWorker();
+    startAnnouncementWorker();
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`📚 Musab Bin Umair Memorial School API`);
+      console.log(`🌐 Frontend: http://localhost:${PORT}`);
+      console.log(`🔧 API: http://localhost:${PORT}/api`);
+    });
+  }).catch(err => {
+    console.error('Failed to initialize database:', err);
+    process.exit(1);
   });
-}).catch(err => {
-  console.error('Failed to initialize database:', err);
-  process.exit(1);
-});
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createRegistration } = require('./helpers');
+
+let token;
+let session;
+let term;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('there is no current term until one is set', async () => {
+  const res = await request(app).get('/api/academic/terms/current');
+
+  assert.strictEqual(res.status, 404);
+});
+
+test('sessions and their terms can be created and a term made current', async () => {
+  const created = await api('post', '/api/academic/sessions').send({ name: '2026/2027', startDate: '2026-09-01', endDate: '2027-07-31' });
+  assert.strictEqual(created.status, 201);
+  session = created.body.data;
+
+  const added = await api('post', `/api/academic/sessions/${session.id}/terms`).send({ name: 'First Term', startDate: '2026-09-07', endDate: '2026-12-18' });
+  assert.strictEqual(added.status, 201);
+  term = added.body.data;
+  assert.strictEqual(term.label, '2026/2027 First Term');
+
+  const setCurrent = await api('patch', `/api/academic/terms/${term.id}/current`);
+  assert.strictEqual(setCurrent.status, 200);
+
+  const current = await request(app).get('/api/academic/terms/current');
+  assert.strictEqual(current.body.data.id, term.id);
+
+  const sessions = await request(app).get('/api/academic/sessions');
+  assert.deepStrictEqual(sessions.body.data[0].terms.map(listed => listed.name), ['First Term']);
+});
+
+test('reversed dates, terms outside their session and repeated names are rejected', async () => {
+  const reversed = await api('post', '/api/academic/sessions').send({ name: '2027/2028', startDate: '2028-07-31', endDate: '2027-09-01' });
+  const outside = await api('post', `/api/academic/sessions/${session.id}/terms`).send({ name: 'Third Term', startDate: '2027-04-20', endDate: '2027-08-15' });
+  const repeated = await api('post', '/api/academic/sessions').send({ name: '2026/2027', startDate: '2026-09-01', endDate: '2027-07-31' });
+
+  assert.strictEqual(reversed.status, 400);
+  assert.strictEqual(reversed.body.errors[0].msg, 'End date must be after start date');
+  assert.strictEqual(outside.status, 400);
+  assert.strictEqual(outside.body.message, 'Term dates must fall within the academic session');
+  assert.strictEqual(repeated.status, 409);
+});
+
+test('session fees override a section\'s default fees', async () => {
+  const section = await db.get("SELECT * FROM sections WHERE name = 'Nursery'");
+
+  const res = await api('put', `/api/academic/sessions/${session.id}/fees/${section.id}`).send({ feeTermly: 17500, feeAnnual: 48000 });
+  assert.strictEqual(res.status, 200);
+
+  const fees = await request(app).get(`/api/academic/sessions/${session.id}/fees`);
+  const nursery = fees.body.data.fees.find(listed => listed.section === 'Nursery');
+  const tahfiz = fees.body.data.fees.find(listed => listed.section === 'Tahfiz');
+  const tahfizDefaults = await db.get("SELECT fee_termly, fee_annual FROM sections WHERE name = 'Tahfiz'");
+  assert.deepStrictEqual([nursery.fee_termly, nursery.fee_annual], [17500, 48000]);
+  assert.deepStrictEqual([tahfiz.fee_termly, tahfiz.fee_annual], [tahfizDefaults.fee_termly, tahfizDefaults.fee_annual]);
+
+  const stats = await request(app).get('/api/sections/Nursery/stats?term_id=current');
+  assert.strictEqual(stats.body.data.fees.fee_termly, 17500);
+});
+
+test('new registrations join the current term and the dashboard filters by it', async () => {
+  await createRegistration({ student_name: 'Before Terms', phone: '08030000001' });
+  const res = await request(app).post('/api/registration').send({
+    parentName: 'Sadiq Lawal',
+    phone: '08030000002',
+    studentName: 'Halima Sadiq',
+    studentAge: 9,
+    section: 'Tahfiz',
+    paymentPlan: 'Termly Plan'
+  });
+  assert.strictEqual(res.status, 201);
+
+  const { term_id: termId } = await db.get("SELECT term_id FROM students WHERE student_name = 'Halima Sadiq'");
+  assert.strictEqual(termId, term.id);
+
+  const all = await api('get', '/api/admin/dashboard');
+  const current = await api('get', '/api/admin/dashboard?term_id=current');
+  assert.strictEqual(all.body.data.overview.total_students, 2);
+  assert.strictEqual(current.body.data.overview.total_students, 1);
+  assert.strictEqual(current.body.data.term.id, term.id);
+});
+
+test('filtering by a term that does not exist is a 404', async () => {
+  const dashboard = await api('get', '/api/admin/dashboard?term_id=999');
+  const stats = await request(app).get('/api/sections/Tahfiz/stats?term_id=999');
+
+  assert.strictEqual(dashboard.status, 404);
+  assert.strictEqual(stats.status, 404);
+});
@@ -0,0 +1,83 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createRegistration } = require('./helpers');
+const { processAnnouncements } = require('../utils/announcements');
+const { processOutbox } = require('../utils/outbox');
+
+let token;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+// Create an announcement for a section and send it straight away
+const sendAnnouncement = async (section) => {
+  const created = await api('post', '/api/announcements')
+    .send({ title: 'School resumes', message: 'School resumes on Monday.', sections: [section] });
+  await api('post', `/api/announcements/${created.body.data.id}/schedule`).send({});
+  await processAnnouncements();
+  return created.body.data.id;
+};
+
+const getAnnouncement = async (id) => (await api('get', `/api/announcements/${id}`)).body.data;
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+afterEach(() => {
+  process.env.EMAIL_TRANSPORT = 'json';
+});
+
+after(teardown);
+
+test('announcement emails are queued in the outbox and delivered from it', async () => {
+  await createRegistration({ section: 'Nursery', email: 'one@example.com', phone: '08011111111' });
+  await createRegistration({ section: 'Nursery', email: 'two@example.com', phone: '08011111112' });
+
+  const id = await sendAnnouncement('Nursery');
+
+  const queued = await db.all(
+    "SELECT * FROM email_outbox WHERE to_address IN ('one@example.com', 'two@example.com')"
+  );
+  assert.strictEqual(queued.length, 2);
+
+  await processOutbox();
+
+  const announcement = await getAnnouncement(id);
+  assert.strictEqual(announcement.status, 'sent');
+  assert.strictEqual(announcement.recipient_count, 2);
+  assert.strictEqual(announcement.sent_count, 2);
+  assert.ok(announcement.recipients.every(recipient => recipient.status === 'sent' && recipient.sent_at));
+});
+
+test('a recipient fails once the outbox gives up, and can be retried', async () => {
+  await createRegistration({ section: 'Tahfiz', email: 'bounce@example.com', phone: '08011111113' });
+
+  // Every send fails while the mailer points at a closed port
+  delete process.env.EMAIL_TRANSPORT;
+  process.env.EMAIL_HOST = '127.0.0.1';
+  process.env.EMAIL_PORT = '1';
+
+  const id = await sendAnnouncement('Tahfiz');
+  await processOutbox();
+
+  let announcement = await getAnnouncement(id);
+  assert.strictEqual(announcement.recipients[0].status, 'queued');
+  assert.ok(announcement.recipients[0].error);
+
+  await db.run("UPDATE email_outbox SET attempts = 4, next_attempt_at = CURRENT_TIMESTAMP WHERE to_address = 'bounce@example.com'");
+  await processOutbox();
+
+  announcement = await getAnnouncement(id);
+  assert.strictEqual(announcement.recipients[0].status, 'failed');
+  assert.strictEqual(announcement.failed_count, 1);
+
+  process.env.EMAIL_TRANSPORT = 'json';
+  const retry = await api('post', `/api/announcements/${id}/retry`);
+  assert.strictEqual(retry.status, 200);
+  await processOutbox();
+
+  announcement = await getAnnouncement(id);
+  assert.strictEqual(announcement.recipients[0].status, 'sent');
+  assert.strictEqual(announcement.failed_count, 0);
+});
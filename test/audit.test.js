@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createRegistration } = require('./helpers');
+const { formatAuditEntry } = require('../utils/audit');
+
+let token;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const latestEntry = async (action) => {
+  const entry = await db.get('SELECT * FROM audit_log WHERE action = ? ORDER BY id DESC LIMIT 1', [action]);
+  assert.ok(entry, `no ${action} entry was logged`);
+  return formatAuditEntry(entry);
+};
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('a payment reversal logs the payment before and after', async () => {
+  const { id: studentId } = await createRegistration({ section: 'Nursery' });
+  const recorded = await api('post', '/api/payments').send({ studentId, amount: 5000, academicTerm: 'First Term' });
+  const paymentId = recorded.body.data.paymentId;
+
+  const res = await api('patch', `/api/payments/${paymentId}/reverse`).send({ reason: 'Entered twice' });
+  assert.strictEqual(res.status, 200);
+
+  const entry = await latestEntry('payment.reverse');
+  assert.strictEqual(entry.entity_type, 'payment');
+  assert.strictEqual(entry.entity_id, String(paymentId));
+  assert.strictEqual(entry.before_value.status, 'confirmed');
+  assert.strictEqual(entry.after_value.status, 'reversed');
+  assert.strictEqual(entry.after_value.amount, 5000);
+});
+
+test('a section update logs the old and new values', async () => {
+  const section = await db.get("SELECT * FROM sections WHERE name = 'Islamiyya'");
+
+  const res = await api('patch', `/api/sections/${section.id}`).send({ capacity: section.capacity + 5 });
+  assert.strictEqual(res.status, 200);
+
+  const entry = await latestEntry('section.update');
+  assert.strictEqual(entry.entity_id, String(section.id));
+  assert.strictEqual(entry.before_value.capacity, section.capacity);
+  assert.strictEqual(entry.after_value.capacity, section.capacity + 5);
+});
+
+test('the catch-all entry is not added when a route logs its own', async () => {
+  const section = await db.get("SELECT id FROM sections WHERE name = 'Islamiyya'");
+  await api('patch', `/api/sections/${section.id}`).send({ description: 'Quran and Islamic studies' });
+
+  const { count } = await db.get("SELECT COUNT(*) as count FROM audit_log WHERE action LIKE 'PATCH %'");
+  assert.strictEqual(count, 0);
+});
+
+test('template edits log the template before and after', async () => {
+  const res = await api('put', '/api/admin/email-templates/contactReply').send({
+    subject: 'Your message: {{subject}}',
+    html: '<p>{{reply}}</p>',
+    text: '{{reply}}'
+  });
+  assert.strictEqual(res.status, 200);
+
+  const entry = await latestEntry('template.update');
+  assert.strictEqual(entry.before_value.customized, false);
+  assert.strictEqual(entry.after_value.subject, 'Your message: {{subject}}');
+});
+
+test('a password reset is logged without the password', async () => {
+  const created = await api('post', '/api/admin/users').send({
+    username: 'bursar',
+    email: 'bursar@example.com',
+    password: 'bursar123',
+    role: 'admin'
+  });
+  assert.strictEqual(created.status, 201);
+
+  await api('post', `/api/admin/users/${created.body.data.id}/reset-password`).send({ newPassword: 'changed123' });
+
+  const entry = await latestEntry('user.password_reset');
+  assert.strictEqual(entry.entity_id, String(created.body.data.id));
+  assert.ok(!JSON.stringify(entry).includes('changed123'));
+  assert.ok(!JSON.stringify(await latestEntry('user.create')).includes('bursar123'));
+});
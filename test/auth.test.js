@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, request, setup, teardown } = require('./helpers');
+
+// Every staff route, with placeholder ids where the path needs one
+const adminRoutes = [
+  ['get', '/api/registration'],
+  ['get', '/api/registration/1'],
+  ['get', '/api/registration/1/documents'],
+  ['get', '/api/registration/1/documents/1'],
+  ['post', '/api/registration/1/status/preview'],
+  ['patch', '/api/registration/1/status'],
+  ['get', '/api/contact'],
+  ['get', '/api/contact/1'],
+  ['patch', '/api/contact/1/status'],
+  ['post', '/api/contact/1/replies'],
+  ['get', '/api/students'],
+  ['post', '/api/students'],
+  ['get', '/api/students/1'],
+  ['patch', '/api/students/1'],
+  ['post', '/api/students/1/withdraw'],
+  ['post', '/api/students/1/transfer'],
+  ['post', '/api/students/1/graduate'],
+  ['get', '/api/admin/dashboard'],
+  ['get', '/api/admin/profile'],
+  ['put', '/api/admin/profile'],
+  ['get', '/api/admin/search?q=aisha'],
+  ['get', '/api/admin/export/students'],
+  ['get', '/api/admin/users'],
+  ['get', '/api/admin/users/roles'],
+  ['post', '/api/admin/users'],
+  ['patch', '/api/admin/users/1/role'],
+  ['patch', '/api/admin/users/1/status'],
+  ['post', '/api/admin/users/1/reset-password'],
+  ['delete', '/api/admin/users/1'],
+  ['get', '/api/admin/outbox'],
+  ['get', '/api/admin/outbox/1'],
+  ['post', '/api/admin/outbox/1/resend'],
+  ['get', '/api/admin/email-templates'],
+  ['get', '/api/admin/email-templates/registration_confirmation'],
+  ['put', '/api/admin/email-templates/registration_confirmation'],
+  ['delete', '/api/admin/email-templates/registration_confirmation'],
+  ['post', '/api/admin/email-templates/registration_confirmation/preview'],
+  ['post', '/api/admin/import/students'],
+  ['get', '/api/admin/audit-log'],
+  ['get', '/api/sections/Tahfiz/students'],
+  ['get', '/api/sections/Tahfiz/waitlist'],
+  ['put', '/api/sections/Tahfiz/waitlist'],
+  ['post', '/api/sections'],
+  ['put', '/api/sections/1'],
+  ['patch', '/api/sections/1'],
+  ['delete', '/api/sections/1'],
+  ['post', '/api/payments'],
+  ['get', '/api/payments'],
+  ['get', '/api/payments/student/1'],
+  ['post', '/api/payments/reminders'],
+  ['get', '/api/payments/1'],
+  ['patch', '/api/payments/1/reverse'],
+  ['post', '/api/academic/sessions'],
+  ['post', '/api/academic/sessions/1/terms'],
+  ['patch', '/api/academic/terms/1/current'],
+  ['put', '/api/academic/sessions/1/fees/1'],
+  ['get', '/api/announcements'],
+  ['post', '/api/announcements/recipients/preview'],
+  ['post', '/api/announcements'],
+  ['get', '/api/announcements/1'],
+  ['put', '/api/announcements/1'],
+  ['delete', '/api/announcements/1'],
+  ['post', '/api/announcements/1/preview'],
+  ['post', '/api/announcements/1/schedule'],
+  ['post', '/api/announcements/1/cancel'],
+  ['post', '/api/announcements/1/retry']
+];
+
+before(setup);
+after(teardown);
+
+for (const [method, path] of adminRoutes) {
+  test(`${method.toUpperCase()} ${path} rejects a request with no token`, async () => {
+    const res = await request(app)[method](path).send({});
+
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.success, false);
+    assert.strictEqual(res.body.message, 'Access token required');
+  });
+}
+
+test('admin routes reject a token that was not signed by the server', async () => {
+  const res = await request(app)
+    .get('/api/registration')
+    .set('Authorization', 'Bearer not-a-real-token');
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.success, false);
+});
+
+test('registration and contact forms stay public', async () => {
+  const registration = await request(app).post('/api/registration').send({});
+  const contact = await request(app).post('/api/contact').send({});
+
+  assert.strictEqual(registration.status, 400);
+  assert.strictEqual(contact.status, 400);
+});
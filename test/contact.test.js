@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createStaff } = require('./helpers');
+
+let token;
+let messageId;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+
+  const res = await request(app).post('/api/contact').send({
+    name: 'Ruqayya Ahmed',
+    email: 'ruqayya@example.com',
+    subject: 'Transport',
+    message: 'Does the school run a bus from Wuse?'
+  });
+  assert.strictEqual(res.status, 201);
+  messageId = (await db.get("SELECT id FROM contact_messages WHERE email = 'ruqayya@example.com'")).id;
+});
+
+after(teardown);
+
+test('a reply is emailed, kept with the message and marks it replied', async () => {
+  const res = await api('post', `/api/contact/${messageId}/replies`).send({ message: 'Yes, the bus leaves Wuse at 7:00 AM.' });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.data.to, 'ruqayya@example.com');
+  assert.strictEqual(res.body.data.subject, 'Re: Transport');
+
+  const email = await db.get("SELECT * FROM email_outbox WHERE to_address = 'ruqayya@example.com' AND subject = 'Re: Transport'");
+  assert.ok(email.text_body.includes('Yes, the bus leaves Wuse at 7:00 AM.'));
+
+  const thread = await api('get', `/api/contact/${messageId}`);
+  assert.strictEqual(thread.body.data.status, 'replied');
+  assert.strictEqual(thread.body.data.replies.length, 1);
+  assert.strictEqual(thread.body.data.replies[0].body, 'Yes, the bus leaves Wuse at 7:00 AM.');
+  assert.strictEqual(thread.body.data.replies[0].replied_by, 'admin');
+});
+
+test('empty replies and unknown messages are rejected', async () => {
+  const empty = await api('post', `/api/contact/${messageId}/replies`).send({ message: '   ' });
+  const unknown = await api('post', '/api/contact/9999/replies').send({ message: 'Hello' });
+
+  assert.strictEqual(empty.status, 400);
+  assert.strictEqual(unknown.status, 404);
+  const { count } = await db.get('SELECT COUNT(*) as count FROM contact_replies');
+  assert.strictEqual(count, 1);
+});
+
+test('staff without messages:write cannot reply', async () => {
+  const { token: registrarToken } = await createStaff('registrar');
+
+  const res = await request(app)
+    .post(`/api/contact/${messageId}/replies`)
+    .set('Authorization', `Bearer ${registrarToken}`)
+    .send({ message: 'Hello' });
+
+  assert.strictEqual(res.status, 403);
+});
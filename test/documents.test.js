@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { app, request, setup, teardown, login, createRegistration } = require('./helpers');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+
+let token;
+let registration;
+
+const storedFiles = () => fs.readdirSync(process.env.DOCUMENTS_DIR);
+
+const upload = (phone, file, { filename = 'photo.png', contentType = 'image/png' } = {}) => request(app)
+  .post(`/api/registration/${registration.reference_code}/documents`)
+  .field('phone', phone)
+  .attach('passportPhoto', file, { filename, contentType });
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+  registration = await createRegistration({ phone: '0803 123 4567' });
+});
+
+after(teardown);
+
+test('a wrong phone number is rejected without writing the file', async () => {
+  const res = await upload('08099999999', PNG);
+
+  assert.strictEqual(res.status, 404);
+  assert.deepStrictEqual(storedFiles(), []);
+});
+
+test('the file type comes from its contents, not the type sent', async () => {
+  const res = await upload('08031234567', Buffer.from('<html><script>alert(1)</script></html>'));
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.message, 'photo.png is not an accepted file type for passportPhoto');
+  assert.deepStrictEqual(storedFiles(), []);
+});
+
+test('accepted documents are stored and can be downloaded by staff', async () => {
+  const res = await upload('08031234567', PNG, { filename: 'photo.jpg', contentType: 'application/octet-stream' });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.data[0].mime_type, 'image/png');
+  assert.match(storedFiles()[0], /^[0-9a-f-]{36}\.png$/);
+
+  const download = await request(app)
+    .get(`/api/registration/${registration.id}/documents/${res.body.data[0].id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .buffer(true)
+    .parse((response, callback) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+  assert.strictEqual(download.status, 200);
+  assert.deepStrictEqual(download.body, PNG);
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createStaff } = require('./helpers');
+
+let token;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('edited templates cannot insert variables unescaped', async () => {
+  const res = await api('put', '/api/admin/email-templates/registrationConfirmation').send({
+    subject: 'Registration received',
+    html: '<p>Dear {{{parentName}}},</p>',
+    text: 'Dear {{parentName}},'
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.errors[0], /^html cannot use \{\{\{triple braces\}\}\}/);
+});
+
+test('previews escape variables in the HTML and wrap it in the shared layout', async () => {
+  const res = await api('post', '/api/admin/email-templates/contactAutoReply/preview').send({
+    data: { name: '<script>alert(1)</script>' }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.data.html.includes('Dear &lt;script&gt;alert(1)&lt;/script&gt;,'));
+  assert.ok(!res.body.data.html.includes('<script>'));
+  assert.ok(res.body.data.html.includes('Thank you for your message'));
+  assert.ok(res.body.data.text.includes('Dear <script>alert(1)</script>,'));
+});
+
+test('saved edits are used for the emails that are sent', async () => {
+  const saved = await api('put', '/api/admin/email-templates/contactAutoReply').send({
+    subject: 'We got your message about {{subject}}',
+    html: '<p>Salam {{name}}, your reference is {{messageId}}.</p>',
+    text: 'Salam {{name}}, your reference is {{messageId}}.'
+  });
+  assert.strictEqual(saved.status, 200);
+  assert.strictEqual(saved.body.data.customized, true);
+
+  await request(app).post('/api/contact').send({
+    name: 'Yakubu Garba',
+    email: 'yakubu@example.com',
+    subject: 'Uniforms',
+    message: 'Where can we buy the school uniform?'
+  });
+
+  const email = await db.get("SELECT * FROM email_outbox WHERE to_address = 'yakubu@example.com'");
+  assert.strictEqual(email.subject, 'We got your message about Uniforms');
+  assert.match(email.text_body, /^Salam Yakubu Garba, your reference is MSG\d+\./m);
+});
+
+test('templates can only use their own variables', async () => {
+  const res = await api('put', '/api/admin/email-templates/contactAutoReply').send({
+    subject: 'Thank you',
+    html: '<p>{{adminPassword}}</p>',
+    text: '{{name}}'
+  });
+  const unknown = await api('get', '/api/admin/email-templates/noSuchTemplate');
+
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body.errors, ['html uses unknown variables: adminPassword']);
+  assert.strictEqual(unknown.status, 404);
+});
+
+test('resetting a template brings back the default', async () => {
+  const res = await api('delete', '/api/admin/email-templates/contactAutoReply');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.customized, false);
+  assert.strictEqual(res.body.data.subject, 'Thank you for contacting us - {{schoolName}}');
+});
+
+test('staff without emails:manage cannot see or edit templates', async () => {
+  const { token: registrarToken } = await createStaff('registrar');
+
+  const res = await request(app)
+    .get('/api/admin/email-templates')
+    .set('Authorization', `Bearer ${registrarToken}`);
+
+  assert.strictEqual(res.status, 403);
+});
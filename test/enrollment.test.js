@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createStaff, createRegistration } = require('./helpers');
+
+let token;
+
+const setStatus = (id, status) => request(app)
+  .patch(`/api/registration/${id}/status`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ status, notify: false });
+
+const getEnrollment = async (section) => {
+  const { current_enrollment: enrolled } = await db.get('SELECT current_enrollment FROM sections WHERE name = ?', [section]);
+  const { approved } = await db.get("SELECT COUNT(*) as approved FROM students WHERE section = ? AND status = 'approved'", [section]);
+  return { enrolled, approved };
+};
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('concurrent transactions run one at a time', async () => {
+  await db.run('CREATE TABLE counter (value INTEGER)');
+  await db.run('INSERT INTO counter (value) VALUES (0)');
+
+  // Each transaction reads, waits, then writes; interleaving would lose updates
+  await Promise.all(Array.from({ length: 20 }, () => db.transaction(async (tx) => {
+    const { value } = await tx.get('SELECT value FROM counter');
+    await new Promise(resolve => setImmediate(resolve));
+    await tx.run('UPDATE counter SET value = ?', [value + 1]);
+  })));
+
+  const { value } = await db.get('SELECT value FROM counter');
+  assert.strictEqual(value, 20);
+});
+
+test('a failed transaction rolls back every write', async () => {
+  await db.run('CREATE TABLE ledger (entry TEXT)');
+
+  await assert.rejects(db.transaction(async (tx) => {
+    await tx.run("INSERT INTO ledger (entry) VALUES ('first')");
+    await tx.run("INSERT INTO ledger (entry) VALUES ('second')");
+    throw new Error('Crashed halfway');
+  }), /Crashed halfway/);
+
+  assert.deepStrictEqual(await db.all('SELECT entry FROM ledger'), []);
+});
+
+test('a failed nested transaction only rolls back its own writes', async () => {
+  await db.transaction(async (tx) => {
+    await tx.run("INSERT INTO ledger (entry) VALUES ('outer')");
+    await assert.rejects(tx.transaction(async (inner) => {
+      await inner.run("INSERT INTO ledger (entry) VALUES ('inner')");
+      throw new Error('Inner step failed');
+    }));
+    await tx.run("INSERT INTO ledger (entry) VALUES ('after')");
+  });
+
+  assert.deepStrictEqual((await db.all('SELECT entry FROM ledger')).map(row => row.entry), ['outer', 'after']);
+});
+
+test('concurrent profile updates cannot claim the same email', async () => {
+  const staff = [await createStaff('teacher', 'teacher_one'), await createStaff('teacher', 'teacher_two')];
+
+  const responses = await Promise.all(staff.map(({ token: staffToken }) => request(app)
+    .put('/api/admin/profile')
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send({ email: 'shared@example.com' })));
+
+  assert.deepStrictEqual(responses.map(res => res.status).sort(), [200, 409]);
+  const { count } = await db.get("SELECT COUNT(*) as count FROM admin_users WHERE email = 'shared@example.com'");
+  assert.strictEqual(count, 1);
+});
+
+test('concurrent approvals never overfill a section', async () => {
+  await db.run("UPDATE sections SET capacity = 3, current_enrollment = 0 WHERE name = 'Islamiyya'");
+  const registrations = [];
+  for (let i = 0; i < 6; i++) {
+    registrations.push(await createRegistration({ section: 'Islamiyya', phone: `0807000000${i}` }));
+  }
+
+  const responses = await Promise.all(registrations.map(registration => setStatus(registration.id, 'approved')));
+
+  assert.strictEqual(responses.filter(res => res.status === 200).length, 3);
+  assert.strictEqual(responses.filter(res => res.status === 400).length, 3);
+  assert.deepStrictEqual(await getEnrollment('Islamiyya'), { enrolled: 3, approved: 3 });
+});
+
+test('concurrent rejections free every seat', async () => {
+  const approved = await db.all("SELECT id FROM students WHERE section = 'Islamiyya' AND status = 'approved'");
+
+  const responses = await Promise.all(approved.map(({ id }) => setStatus(id, 'rejected')));
+
+  assert.ok(responses.every(res => res.status === 200));
+  assert.deepStrictEqual(await getEnrollment('Islamiyya'), { enrolled: 0, approved: 0 });
+});
+
+test('renaming a section keeps its enrolled pupils and waitlist in step', async () => {
+  const section = await db.get("SELECT id FROM sections WHERE name = 'Tahfiz'");
+  await db.run('UPDATE sections SET capacity = 1, current_enrollment = 0 WHERE id = ?', [section.id]);
+  const pupil = await createRegistration({ section: 'Tahfiz', phone: '08071111111' });
+  const waiting = await createRegistration({ section: 'Tahfiz', phone: '08071111112', status: 'waitlisted', waitlist_position: 1 });
+  await setStatus(pupil.id, 'approved');
+  const enrolled = await request(app)
+    .post('/api/students')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ registrationId: pupil.id });
+
+  const renamed = await request(app)
+    .patch(`/api/sections/${section.id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'Tahfiz al-Quran' });
+  assert.strictEqual(renamed.status, 200);
+
+  const withdrawn = await request(app)
+    .post(`/api/students/${enrolled.body.data.id}/withdraw`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ reason: 'Moved away' });
+
+  assert.strictEqual(withdrawn.status, 200);
+  assert.strictEqual((await db.get('SELECT status FROM students WHERE id = ?', [waiting.id])).status, 'approved');
+  assert.deepStrictEqual(await getEnrollment('Tahfiz al-Quran'), { enrolled: 1, approved: 1 });
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createRegistration } = require('./helpers');
+const { formatCell, parseCsv } = require('../utils/csv');
+
+let token;
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('cells that would run as formulas are prefixed', () => {
+  assert.strictEqual(formatCell('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+  assert.strictEqual(formatCell('@cmd'), "'@cmd");
+  assert.strictEqual(formatCell("-2+3+cmd|' /C calc'!A0"), "'-2+3+cmd|' /C calc'!A0");
+  assert.strictEqual(formatCell('+'), "'+");
+});
+
+test('signed numbers such as phone numbers are left alone', () => {
+  assert.strictEqual(formatCell('+2348012345678'), '+2348012345678');
+  assert.strictEqual(formatCell('+234 801 234 5678'), '+234 801 234 5678');
+  assert.strictEqual(formatCell('-15'), '-15');
+  assert.strictEqual(formatCell('-15.5'), '-15.5');
+  assert.strictEqual(formatCell(0), '0');
+});
+
+test('signed values that spreadsheets would evaluate are prefixed', () => {
+  assert.strictEqual(formatCell('+1-1'), "'+1-1");
+  assert.strictEqual(formatCell('-2-3'), "'-2-3");
+  assert.strictEqual(formatCell('+(1)-(2)'), "'+(1)-(2)");
+  assert.strictEqual(formatCell('+1+1'), "'+1+1");
+  assert.strictEqual(formatCell('-1.5.5'), "'-1.5.5");
+  assert.strictEqual(formatCell('+234(0)8012345678'), "'+234(0)8012345678");
+});
+
+test('fields with commas, quotes and line breaks are quoted', () => {
+  assert.strictEqual(formatCell('Bello, "Musa"\nKano'), '"Bello, ""Musa""\nKano"');
+  assert.deepStrictEqual(parseCsv('a,"b ""c""",d\r\n1,"2,3",4\r\n'), [['a', 'b "c"', 'd'], ['1', '2,3', '4']]);
+});
+
+test('rows added while iterating are never repeated or skipped', async () => {
+  for (let i = 0; i < 5; i++) {
+    await createRegistration({ student_name: `Pupil ${i}`, phone: `0809000000${i}` });
+  }
+  const existing = (await db.all('SELECT id FROM students ORDER BY id DESC')).map(row => row.id);
+
+  const seen = [];
+  for await (const row of db.iterate('SELECT * FROM students', [], { order: 'DESC', batchSize: 2 })) {
+    seen.push(row.id);
+    // A new registration between batches would shift an offset-based page
+    if (seen.length % 2 === 0) {
+      await createRegistration({ student_name: `Late ${seen.length}`, phone: `0818000000${seen.length}` });
+    }
+  }
+
+  assert.deepStrictEqual(seen, existing);
+});
+
+test('CSV exports keep phone numbers as they are', async () => {
+  await createRegistration({ student_name: 'Usman Garba', phone: '+2348031234567' });
+
+  const res = await request(app)
+    .get('/api/admin/export/students?format=csv&columns=student_name,phone')
+    .set('Authorization', `Bearer ${token}`);
+
+  assert.strictEqual(res.status, 200);
+  const rows = parseCsv(res.text);
+  assert.deepStrictEqual(rows[0], ['student_name', 'phone']);
+  assert.deepStrictEqual(rows[1], ['Usman Garba', '+2348031234567']);
+});
+
+test('CSV exports include every row once', async () => {
+  const { count } = await db.get('SELECT COUNT(*) as count FROM students');
+
+  const res = await request(app)
+    .get('/api/admin/export/students?format=csv&columns=id')
+    .set('Authorization', `Bearer ${token}`);
+
+  const ids = parseCsv(res.text).slice(1).map(([id]) => Number(id));
+  assert.strictEqual(ids.length, count);
+  assert.strictEqual(new Set(ids).size, count);
+});
+
+test('sections export in name order', async () => {
+  const res = await request(app)
+    .get('/api/admin/export/sections?format=csv&columns=name,enrolled_students')
+    .set('Authorization', `Bearer ${token}`);
+
+  const names = parseCsv(res.text).slice(1).map(([name]) => name);
+  assert.strictEqual(names.length, 6);
+  assert.deepStrictEqual(names, [...names].sort());
+});
@@ -0,0 +1,82 @@
+// Shared setup for the API tests. Each test file runs in its own process,
+// so every file gets a fresh database in a temporary directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mbu-test-'));
+
+process.env.DB_PATH = path.join(tempDir, 'school.db');
+process.env.DOCUMENTS_DIR = path.join(tempDir, 'documents');
+process.env.JWT_SECRET = 'test-secret';
+process.env.EMAIL_TRANSPORT = 'json';
+process.env.ADMIN_PASSWORD = 'admin123';
+process.env.EMAIL_SEND_DELAY_MS = '0';
+
+// The test runner reads results from each file's stdout, and the app's own
+// logging there can corrupt them, so send it to stderr instead
+console.log = console.error;
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const app = require('../server');
+
+// Migrate the test database and seed the default sections and admin
+const setup = () => db.init({ migrate: true });
+
+const teardown = () => {
+  db.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+};
+
+const login = async (username, password) => {
+  const res = await request(app)
+    .post('/api/admin/login')
+    .send({ username, password });
+  return res.body.data.token;
+};
+
+// Add a staff account with the given role and return a token for it
+const createStaff = async (role, username = `${role}_${Date.now()}`) => {
+  const passwordHash = await bcrypt.hash('password123', 4);
+  const { id } = await db.run(
+    'INSERT INTO admin_users (username, email, password_hash, role) VALUES (?, ?, ?, ?)',
+    [username, `${username}@example.com`, passwordHash, role]
+  );
+  return { id, token: await login(username, 'password123') };
+};
+
+// Add a registration directly, skipping the public form
+const createRegistration = async (fields = {}) => {
+  const student = {
+    student_name: 'Aisha Bello',
+    student_age: 8,
+    parent_name: 'Musa Bello',
+    phone: '08012345678',
+    email: 'musa@example.com',
+    section: 'Tahfiz',
+    payment_plan: 'Termly Plan',
+    status: 'pending',
+    reference_code: `MBU-${Math.random().toString(36).slice(2, 8).toUpperCase()}`,
+    ...fields
+  };
+  const columns = Object.keys(student);
+  const { id } = await db.run(
+    `INSERT INTO students (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(student)
+  );
+  return { id, ...student };
+};
+
+module.exports = {
+  app,
+  db,
+  request,
+  tempDir,
+  setup,
+  teardown,
+  login,
+  createStaff,
+  createRegistration
+};
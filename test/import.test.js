@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login } = require('./helpers');
+
+let token;
+
+const HEADINGS = 'Student Name,Age,Parent Name,Phone,Section,Payment Plan';
+
+const importCsv = (lines, fields = {}, headings = HEADINGS) => {
+  const req = request(app)
+    .post('/api/admin/import/students')
+    .set('Authorization', `Bearer ${token}`);
+  for (const [name, value] of Object.entries(fields)) {
+    req.field(name, value);
+  }
+  return req.attach('file', Buffer.from([headings, ...lines].join('\n')), 'students.csv');
+};
+
+const countStudents = async () => (await db.get('SELECT COUNT(*) as count FROM students')).count;
+
+const enrollment = async (section) => (await db.get('SELECT current_enrollment FROM sections WHERE name = ?', [section])).current_enrollment;
+
+const PUPILS = [
+  'Sumayya Lawal,9,Lawal Bako,08021110002,Primary School,Termly',
+  'Abubakar Lawal,11,Lawal Bako,08021110002,primary school,Annual Plan'
+];
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('rows outside the section age range are rejected', async () => {
+  const res = await importCsv(['Hauwa Idris,12,Idris Musa,08021110001,Nursery,Termly']);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.invalid_rows, 1);
+  assert.deepStrictEqual(res.body.data.errors[0], {
+    row: 2,
+    errors: [{ field: 'studentAge', message: 'Nursery is for students aged 3-5' }]
+  });
+});
+
+test('the registration form rejects the same ages', async () => {
+  const res = await request(app).post('/api/registration').send({
+    parentName: 'Idris Musa',
+    phone: '08021110001',
+    studentName: 'Hauwa Idris',
+    studentAge: 12,
+    section: 'Nursery',
+    paymentPlan: 'Termly Plan'
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.message, 'Nursery is for students aged 3-5');
+});
+
+test('a dry run reports every row without saving anything', async () => {
+  const res = await importCsv(PUPILS);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.dry_run, true);
+  assert.strictEqual(res.body.data.valid_rows, 2);
+  assert.deepStrictEqual(res.body.data.errors, []);
+  assert.strictEqual(await countStudents(), 0);
+});
+
+test('committing imports every row as enrolled and takes their seats', async () => {
+  const enrolled = await enrollment('Primary School');
+
+  const res = await importCsv(PUPILS, { dryRun: 'false' });
+
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(res.body.data.students.map(student => [student.row, student.section]), [[2, 'Primary School'], [3, 'Primary School']]);
+  const statuses = await db.all("SELECT status, payment_plan FROM students WHERE parent_name = 'Lawal Bako' ORDER BY id");
+  assert.deepStrictEqual(statuses.map(student => [student.status, student.payment_plan]), [['approved', 'Termly Plan'], ['approved', 'Annual Plan']]);
+  assert.strictEqual(await enrollment('Primary School'), enrolled + 2);
+});
+
+test('one bad row stops the whole import', async () => {
+  const students = await countStudents();
+
+  const res = await importCsv([
+    'Safiya Garba,7,Garba Isa,08021110003,Islamiyya,Termly',
+    'Sumayya Lawal,9,Lawal Bako,08021110002,Primary School,Termly',
+    'Jamil Garba,8,Garba Isa,08021110003,Science Club,Termly'
+  ], { dryRun: 'false' });
+
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body.data.errors, [
+    { row: 3, errors: [{ field: 'studentName', message: 'A student with this information is already registered' }] },
+    { row: 4, errors: [{ field: 'section', message: 'Section "Science Club" does not exist or is not active' }] }
+  ]);
+  assert.strictEqual(await countStudents(), students);
+});
+
+test('rows repeated within the file are reported', async () => {
+  const res = await importCsv([
+    'Nana Umar,10,Umar Faruk,08021110004,Tahfiz,Termly',
+    'Nana Umar,10,Umar Faruk,08021110004,Tahfiz,Termly'
+  ]);
+
+  assert.deepStrictEqual(res.body.data.errors, [
+    { row: 3, errors: [{ field: 'studentName', message: 'This student appears more than once in the file' }] }
+  ]);
+});
+
+test('files missing a required column are rejected, unless a mapping names it', async () => {
+  const headings = 'Student Name,Age,Parent Name,Mobile,Section,Payment Plan';
+  const row = 'Nana Umar,10,Umar Faruk,08021110004,Tahfiz,Termly';
+
+  const missing = await importCsv([row], {}, headings);
+  const mapped = await importCsv([row], { mapping: JSON.stringify({ Mobile: 'phone' }) }, headings);
+
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.message, 'Missing columns for: phone');
+  assert.strictEqual(mapped.status, 200);
+  assert.strictEqual(mapped.body.data.valid_rows, 1);
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createRegistration } = require('./helpers');
+
+let token;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const names = (students) => students.map(student => student.student_name);
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+
+  for (const [name, age, section, status, plan, createdAt] of [
+    ['Adamu', 7, 'Islamiyya', 'pending', 'Termly Plan', '2026-01-10 09:00:00'],
+    ['Binta', 9, 'Islamiyya', 'approved', 'Annual Plan', '2026-02-14 09:00:00'],
+    ['Chiroma', 12, 'Tahfiz', 'waitlisted', 'Termly Plan', '2026-03-01 09:00:00'],
+    ['Dije', 15, 'Tahfiz', 'rejected', 'Annual Plan', '2026-03-20 09:00:00'],
+    ['Ese', 10, 'Primary School', 'pending', 'Termly Plan', '2026-03-20 09:00:00']
+  ]) {
+    await createRegistration({ student_name: name, student_age: age, section, status, payment_plan: plan, created_at: createdAt, phone: `080${age}0000000` });
+  }
+
+  for (const [name, status, createdAt] of [
+    ['Farida', 'unread', '2026-02-01 12:00:00'],
+    ['Gambo', 'replied', '2026-02-20 12:00:00'],
+    ['Hadiza', 'read', '2026-03-05 12:00:00']
+  ]) {
+    await db.run(
+      'INSERT INTO contact_messages (name, email, subject, message, status, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [name, `${name.toLowerCase()}@example.com`, 'Enquiry', 'Hello', status, createdAt]
+    );
+  }
+});
+
+after(teardown);
+
+test('registrations filter by several values, age and date ranges', async () => {
+  const statuses = await api('get', '/api/registration?status=pending,waitlisted&sort=student_name&order=asc');
+  const repeated = await api('get', '/api/registration?status=pending&status=waitlisted&sort=student_name&order=asc');
+  const ages = await api('get', '/api/registration?min_age=9&max_age=12&payment_plan=Termly Plan&sort=student_age&order=asc');
+  const dates = await api('get', '/api/registration?from=2026-02-01&to=2026-03-01&sort=created_at&order=asc');
+
+  assert.deepStrictEqual(names(statuses.body.data), ['Adamu', 'Chiroma', 'Ese']);
+  assert.deepStrictEqual(names(repeated.body.data), ['Adamu', 'Chiroma', 'Ese']);
+  assert.deepStrictEqual(names(ages.body.data), ['Ese', 'Chiroma']);
+  assert.deepStrictEqual(names(dates.body.data), ['Binta', 'Chiroma']);
+});
+
+test('pages are capped and never overlap when sort values tie', async () => {
+  const capped = await api('get', '/api/registration?limit=500');
+  const first = await api('get', '/api/registration?sort=created_at&limit=1&page=1');
+  const second = await api('get', '/api/registration?sort=created_at&limit=1&page=2');
+
+  assert.strictEqual(capped.body.pagination.limit, 100);
+  assert.deepStrictEqual(first.body.pagination, { page: 1, limit: 1, total: 5, pages: 5 });
+  assert.deepStrictEqual([...names(first.body.data), ...names(second.body.data)], ['Ese', 'Dije']);
+});
+
+test('a section\'s students accept the same filters within that section', async () => {
+  const res = await api('get', '/api/sections/Tahfiz/students?status=rejected,pending&section=Islamiyya');
+  const sorted = await api('get', '/api/sections/Tahfiz/students?sort=student_age&order=desc');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(names(res.body.data.students), []);
+  assert.deepStrictEqual(names(sorted.body.data.students), ['Dije', 'Chiroma']);
+  assert.strictEqual(sorted.body.data.pagination.total, 2);
+});
+
+test('contact messages filter by status and date and sort by whitelisted fields', async () => {
+  const res = await api('get', '/api/contact?status=unread,read&from=2026-02-01&sort=name&order=desc');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.map(message => message.name), ['Hadiza', 'Farida']);
+});
+
+test('unknown sort fields and malformed ranges are rejected', async () => {
+  const sort = await api('get', '/api/registration?sort=password_hash');
+  const injected = await api('get', '/api/contact?sort=created_at;DROP TABLE students');
+  const ranges = await api('get', '/api/registration?min_age=ten&from=2026-13-45&order=sideways&page=0');
+  const sectionSort = await api('get', '/api/sections/Tahfiz/students?sort=phone');
+
+  assert.strictEqual(sort.status, 400);
+  assert.match(sort.body.errors[0], /^sort must be one of: created_at, /);
+  assert.strictEqual(injected.status, 400);
+  assert.deepStrictEqual(ranges.body.errors, [
+    'min_age must be a whole number',
+    'from must be a date (YYYY-MM-DD)',
+    'order must be asc or desc',
+    'page must be a whole number of 1 or more'
+  ]);
+  assert.strictEqual(sectionSort.status, 400);
+  assert.strictEqual((await db.get('SELECT COUNT(*) as count FROM students')).count, 5);
+});
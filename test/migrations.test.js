@@ -0,0 +1,54 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { db, tempDir, setup, teardown } = require('./helpers');
+const { loadMigrations, getPendingMigrations, migrateUp, migrateDown } = require('../config/migrator');
+
+const columnNames = async (table) => (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+after(teardown);
+
+test('the server refuses to start with pending migrations', async () => {
+  await assert.rejects(db.init(), /pending migration\(s\): 001_initial_schema, /);
+
+  const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'students'");
+  assert.strictEqual(table, undefined);
+  db.close();
+});
+
+test('starting with migrate applies every migration once', async () => {
+  await setup();
+
+  const applied = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+  assert.deepStrictEqual(applied.map(migration => migration.version), loadMigrations().map(migration => migration.version));
+  assert.deepStrictEqual(await getPendingMigrations(db), []);
+
+  // A second start has nothing to apply
+  db.close();
+  await db.init();
+});
+
+test('the latest migration can be rolled back and applied again', async () => {
+  const latest = loadMigrations().pop();
+
+  const rolledBack = await migrateDown(db);
+  assert.deepStrictEqual(rolledBack.map(migration => migration.name), [latest.name]);
+  assert.deepStrictEqual((await getPendingMigrations(db)).map(migration => migration.name), [latest.name]);
+  assert.ok(!(await columnNames('announcement_recipients')).includes('email_id'));
+
+  const reapplied = await migrateUp(db);
+  assert.deepStrictEqual(reapplied.map(migration => migration.name), [latest.name]);
+  assert.ok((await columnNames('announcement_recipients')).includes('email_id'));
+});
+
+test('npm run migrate applies pending migrations to a new database', () => {
+  const env = { ...process.env, DB_PATH: path.join(tempDir, 'migrate-script.db') };
+  const script = path.join(__dirname, '..', 'scripts', 'migrate.js');
+
+  execFileSync(process.execPath, [script], { env, stdio: 'pipe' });
+  const status = execFileSync(process.execPath, [script, 'status'], { env, encoding: 'utf8' });
+
+  assert.ok(!status.includes('⏳'));
+  assert.strictEqual(status.match(/✅/g).length, loadMigrations().length);
+});
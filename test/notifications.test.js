@@ -0,0 +1,110 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { app, db, request, tempDir, setup, teardown, login, createRegistration } = require('./helpers');
+const { processOutbox } = require('../utils/outbox');
+const { registerSmsProvider } = require('../utils/sms');
+
+let token;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const smsLog = path.join(tempDir, 'sms.log');
+
+const outboxTo = (address) => db.all('SELECT * FROM email_outbox WHERE to_address = ? ORDER BY id', [address]);
+
+// Each queued message may start its own outbox run, so keep going until
+// every message has been tried at least once
+const deliverQueued = async () => {
+  const untried = async () => (await db.get("SELECT COUNT(*) as count FROM email_outbox WHERE status IN ('pending', 'sending') AND attempts = 0")).count;
+  for (let runs = 0; runs < 5 && await untried() > 0; runs++) {
+    await processOutbox();
+  }
+};
+
+const register = (fields) => request(app).post('/api/registration').send({
+  parentName: 'Ibrahim Danjuma',
+  studentAge: 9,
+  section: 'Tahfiz',
+  paymentPlan: 'Termly Plan',
+  ...fields
+});
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+  process.env.SMS_LOG_FILE = smsLog;
+});
+
+afterEach(() => {
+  delete process.env.SMS_PROVIDER;
+});
+
+after(teardown);
+
+test('families without an email get their confirmation by SMS', async () => {
+  process.env.SMS_PROVIDER = 'file';
+
+  const res = await register({ studentName: 'Aminu Ibrahim', phone: '08077770001' });
+  assert.strictEqual(res.status, 201);
+
+  const [sms] = await outboxTo('08077770001');
+  assert.strictEqual(sms.channel, 'sms');
+  assert.match(sms.text_body, /We received the registration of Aminu Ibrahim for Tahfiz/);
+
+  await deliverQueued();
+  const sent = fs.readFileSync(smsLog, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(sent.map(({ to, message }) => ({ to, message })), [{ to: '08077770001', message: sms.text_body }]);
+});
+
+test('no SMS is queued when no provider is set up', async () => {
+  const res = await register({ studentName: 'Sadiya Ibrahim', phone: '08077770002' });
+
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(await outboxTo('08077770002'), []);
+});
+
+test('status changes go to every channel the family has', async () => {
+  process.env.SMS_PROVIDER = 'file';
+  const student = await createRegistration({ phone: '08077770003', email: 'both@example.com' });
+
+  const res = await api('patch', `/api/registration/${student.id}/status`).send({ status: 'approved' });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.channels, ['email', 'sms']);
+  assert.strictEqual((await outboxTo('both@example.com')).length, 1);
+  assert.match((await outboxTo('08077770003'))[0].text_body, /approved/i);
+});
+
+test('fee reminders are texted to families without an email', async () => {
+  process.env.SMS_PROVIDER = 'file';
+  const session = await api('post', '/api/academic/sessions').send({ name: '2026/2027', startDate: '2026-09-01', endDate: '2027-07-31' });
+  const term = await api('post', `/api/academic/sessions/${session.body.data.id}/terms`).send({ name: 'First Term', startDate: '2026-09-07', endDate: '2026-12-18' });
+  await api('patch', `/api/academic/terms/${term.body.data.id}/current`);
+  const student = await createRegistration({ phone: '08077770004', email: null, status: 'approved' });
+
+  const res = await api('post', '/api/payments/reminders').send({ studentIds: [student.id] });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.map(reminded => reminded.channels), [['sms']]);
+  assert.match((await outboxTo('08077770004'))[0].text_body, /outstanding balance of ₦18,000 for 2026\/2027 First Term/);
+});
+
+test('a provider that fails leaves the SMS queued for a retry', async () => {
+  registerSmsProvider('unreachable', {
+    async send() {
+      throw new Error('Gateway unreachable');
+    }
+  });
+  process.env.SMS_PROVIDER = 'unreachable';
+
+  await register({ studentName: 'Bilkisu Ibrahim', phone: '08077770005', email: 'bilkisu@example.com' });
+  await deliverQueued();
+
+  const [sms] = await outboxTo('08077770005');
+  const [email] = await outboxTo('bilkisu@example.com');
+  assert.strictEqual(sms.status, 'pending');
+  assert.strictEqual(sms.last_error, 'Gateway unreachable');
+  assert.strictEqual(email.status, 'sent');
+});
@@ -0,0 +1,116 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login } = require('./helpers');
+const { queueEmail, processOutbox } = require('../utils/outbox');
+
+let token;
+
+const getEmail = (id) => db.get('SELECT * FROM email_outbox WHERE id = ?', [id]);
+
+// Point the mailer at a closed local port so every send fails
+const breakSmtp = () => {
+  delete process.env.EMAIL_TRANSPORT;
+  process.env.EMAIL_HOST = '127.0.0.1';
+  process.env.EMAIL_PORT = '1';
+};
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+afterEach(() => {
+  process.env.EMAIL_TRANSPORT = 'json';
+  process.env.EMAIL_SEND_DELAY_MS = '0';
+});
+
+after(teardown);
+
+test('queued emails are delivered through the JSON transport', async () => {
+  const id = await queueEmail({ to: 'family@example.com', subject: 'Welcome', text: 'Hello' });
+  await processOutbox();
+
+  const email = await getEmail(id);
+  assert.strictEqual(email.status, 'sent');
+  assert.strictEqual(email.attempts, 1);
+  assert.ok(email.sent_at);
+});
+
+test('the contact form queues its emails instead of sending them inline', async () => {
+  const res = await request(app).post('/api/contact').send({
+    name: 'Zainab Yusuf',
+    email: 'zainab@example.com',
+    subject: '<b>Fees</b>',
+    message: 'When are second term fees due?'
+  });
+  assert.strictEqual(res.status, 201);
+
+  const queued = await db.all("SELECT * FROM email_outbox WHERE subject LIKE '%Fees%' OR to_address = 'zainab@example.com'");
+  assert.ok(queued.length > 0);
+
+  await processOutbox();
+  for (const email of queued) {
+    assert.strictEqual((await getEmail(email.id)).status, 'sent');
+  }
+});
+
+test('a failed send is retried later with backoff', async () => {
+  breakSmtp();
+  const id = await queueEmail({ to: 'retry@example.com', subject: 'Retry me', text: 'Hello' });
+  await processOutbox();
+
+  const email = await getEmail(id);
+  assert.strictEqual(email.status, 'pending');
+  assert.strictEqual(email.attempts, 1);
+  assert.ok(email.last_error);
+  assert.ok(email.next_attempt_at > email.created_at);
+});
+
+test('an email that runs out of attempts is dead-lettered and can be resent', async () => {
+  breakSmtp();
+  const id = await queueEmail({ to: 'dead@example.com', subject: 'Dead letter', text: 'Hello' });
+  await db.run('UPDATE email_outbox SET attempts = 4 WHERE id = ?', [id]);
+  await processOutbox();
+  assert.strictEqual((await getEmail(id)).status, 'dead');
+
+  const failed = await request(app).get('/api/admin/outbox?status=failed').set('Authorization', `Bearer ${token}`);
+  assert.ok(failed.body.data.some(email => email.id === id));
+
+  process.env.EMAIL_TRANSPORT = 'json';
+  const resend = await request(app).post(`/api/admin/outbox/${id}/resend`).set('Authorization', `Bearer ${token}`);
+  assert.strictEqual(resend.status, 200);
+  await processOutbox();
+
+  const email = await getEmail(id);
+  assert.strictEqual(email.status, 'sent');
+  assert.strictEqual(email.attempts, 1);
+});
+
+test('only failed emails can be resent', async () => {
+  const id = await queueEmail({ to: 'sent@example.com', subject: 'Sent', text: 'Hello' });
+  await processOutbox();
+
+  const res = await request(app).post(`/api/admin/outbox/${id}/resend`).set('Authorization', `Bearer ${token}`);
+  assert.strictEqual(res.status, 400);
+});
+
+test('sends are spaced out by EMAIL_SEND_DELAY_MS', async () => {
+  process.env.EMAIL_SEND_DELAY_MS = '150';
+  const started = Date.now();
+  const ids = [];
+  for (const to of ['one@example.com', 'two@example.com', 'three@example.com']) {
+    ids.push(await queueEmail({ to, subject: 'Spaced', text: 'Hello' }));
+  }
+
+  // Each queued email may start its own run, so keep going until all are out
+  const isSent = async (id) => (await getEmail(id)).status === 'sent';
+  for (let runs = 0; runs < 5 && !(await isSent(ids[2])); runs++) {
+    await processOutbox();
+  }
+
+  for (const id of ids) {
+    assert.ok(await isSent(id));
+  }
+  // Two pauses between three emails
+  assert.ok(Date.now() - started >= 300);
+});
@@ -0,0 +1,90 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { app, db, request, tempDir, setup, teardown, createRegistration } = require('./helpers');
+
+const sharedPhone = '08055555555';
+
+const outboxTo = (address) => db.all('SELECT * FROM email_outbox WHERE to_address = ? ORDER BY id', [address]);
+
+// Pull the token out of the newest login link sent to an address or number
+const latestLinkToken = async (address) => {
+  const messages = await outboxTo(address);
+  assert.ok(messages.length > 0, `no login link was sent to ${address}`);
+  return messages[messages.length - 1].text_body.match(/token=([0-9a-f]{64})/)[1];
+};
+
+const startSession = async (linkToken) => {
+  const res = await request(app).post('/api/parents/session').send({ token: linkToken });
+  assert.strictEqual(res.status, 200);
+  return res.body.data.token;
+};
+
+const childrenFor = async (sessionToken) => {
+  const res = await request(app).get('/api/parents/children').set('Authorization', `Bearer ${sessionToken}`);
+  assert.strictEqual(res.status, 200);
+  return res.body.data.map(child => child.student_name);
+};
+
+before(async () => {
+  await setup();
+  process.env.SMS_LOG_FILE = path.join(tempDir, 'sms.log');
+
+  // A real family, and a registration someone else made with their phone number
+  await createRegistration({ student_name: 'Fatima Sani', phone: sharedPhone, email: 'family@example.com' });
+  await createRegistration({ student_name: 'Fake Child', phone: sharedPhone, email: 'intruder@example.com' });
+});
+
+afterEach(() => {
+  delete process.env.SMS_PROVIDER;
+});
+
+after(teardown);
+
+test('a phone login link is texted to that phone and never emailed', async () => {
+  process.env.SMS_PROVIDER = 'file';
+
+  const res = await request(app).post('/api/parents/login-link').send({ phone: sharedPhone });
+  assert.strictEqual(res.status, 200);
+
+  const [sms] = await outboxTo(sharedPhone);
+  assert.strictEqual(sms.channel, 'sms');
+  assert.deepStrictEqual(await outboxTo('intruder@example.com'), []);
+  assert.deepStrictEqual(await outboxTo('family@example.com'), []);
+});
+
+test('phone sign-in is refused when SMS is not set up', async () => {
+  const res = await request(app).post('/api/parents/login-link').send({ phone: '08066666666' });
+
+  assert.strictEqual(res.status, 400);
+});
+
+test('an email session only covers children registered with that email', async () => {
+  await request(app).post('/api/parents/login-link').send({ email: 'intruder@example.com' });
+  const session = await startSession(await latestLinkToken('intruder@example.com'));
+
+  assert.deepStrictEqual(await childrenFor(session), ['Fake Child']);
+});
+
+test('a phone session covers the children registered with that phone', async () => {
+  const session = await startSession(await latestLinkToken(sharedPhone));
+
+  assert.deepStrictEqual(await childrenFor(session), ['Fatima Sani', 'Fake Child']);
+});
+
+test('unknown contact details get the same response and no link', async () => {
+  const res = await request(app).post('/api/parents/login-link').send({ email: 'nobody@example.com' });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await outboxTo('nobody@example.com'), []);
+});
+
+test('phone numbers match however they were written at registration', async () => {
+  process.env.SMS_PROVIDER = 'file';
+  await createRegistration({ student_name: 'Yusuf Adamu', phone: '0803 123-4567', email: 'adamu@example.com' });
+
+  await request(app).post('/api/parents/login-link').send({ phone: '08031234567' });
+  const session = await startSession(await latestLinkToken('08031234567'));
+
+  assert.deepStrictEqual(await childrenFor(session), ['Yusuf Adamu']);
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, request, setup, teardown, login, createRegistration } = require('./helpers');
+
+let token;
+let terms;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const setCurrentTerm = (term) => api('patch', `/api/academic/terms/${term.id}/current`);
+
+const remindersFor = async (student) => {
+  const res = await api('post', '/api/payments/reminders').send({ studentIds: [student.id] });
+  assert.strictEqual(res.status, 200);
+  return res.body.data;
+};
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+
+  const session = await api('post', '/api/academic/sessions')
+    .send({ name: '2025/2026', startDate: '2025-09-01', endDate: '2026-07-31' });
+  terms = [];
+  for (const [name, startDate, endDate] of [
+    ['First Term', '2025-09-01', '2025-12-15'],
+    ['Second Term', '2026-01-05', '2026-04-10']
+  ]) {
+    const term = await api('post', `/api/academic/sessions/${session.body.data.id}/terms`)
+      .send({ name, startDate, endDate });
+    terms.push(term.body.data);
+  }
+});
+
+after(teardown);
+
+test('an annual payment covers every term of the session', async () => {
+  const student = await createRegistration({ status: 'approved', payment_plan: 'Annual Plan' });
+  await setCurrentTerm(terms[0]);
+
+  const payment = await api('post', '/api/payments')
+    .send({ studentId: student.id, amount: 48000, paymentMethod: 'cash' });
+  assert.strictEqual(payment.status, 201);
+  assert.strictEqual(payment.body.data.payment_status, 'paid');
+
+  await setCurrentTerm(terms[1]);
+  assert.deepStrictEqual(await remindersFor(student), []);
+});
+
+test('annual payments made across terms add up', async () => {
+  const student = await createRegistration({ status: 'approved', payment_plan: 'Annual Plan', phone: '08022222222' });
+
+  await api('post', '/api/payments').send({ studentId: student.id, amount: 20000, termId: terms[0].id });
+  const second = await api('post', '/api/payments').send({ studentId: student.id, amount: 8000, termId: terms[1].id });
+
+  assert.strictEqual(second.body.data.amount_paid, 28000);
+  assert.strictEqual(second.body.data.balance, 20000);
+  assert.strictEqual(second.body.data.payment_status, 'partial');
+});
+
+test('termly fees are still owed again each term', async () => {
+  const student = await createRegistration({ status: 'approved', payment_plan: 'Termly Plan', phone: '08033333333' });
+
+  await api('post', '/api/payments').send({ studentId: student.id, amount: 18000, termId: terms[0].id });
+  await setCurrentTerm(terms[1]);
+
+  const reminded = await remindersFor(student);
+  assert.strictEqual(reminded.length, 1);
+  assert.strictEqual(reminded[0].balance, 18000);
+});
+
+test('payment, announcement and outbox lists reject bad paging and cap the page size', async () => {
+  for (const path of ['/api/payments', '/api/announcements', '/api/admin/outbox']) {
+    for (const paging of ['limit=abc', 'page=0', 'page=-1']) {
+      const res = await api('get', `${path}?${paging}`);
+      assert.strictEqual(res.status, 400, `${path}?${paging}`);
+    }
+
+    const res = await api('get', `${path}?limit=1000000`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.pagination.limit, 100);
+  }
+});
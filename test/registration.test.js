@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createRegistration } = require('./helpers');
+
+let token;
+let reference;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const emailsTo = (address) => db.all('SELECT * FROM email_outbox WHERE to_address = ? ORDER BY id', [address]);
+
+const lookup = (code, phone) => request(app)
+  .get(`/api/registration/status/${code}`)
+  .query(phone === undefined ? {} : { phone });
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+
+  const res = await request(app).post('/api/registration').send({
+    parentName: 'Kabiru Aliyu',
+    phone: '08044443333',
+    studentName: 'Maryam Kabiru',
+    studentAge: 10,
+    section: 'Primary School',
+    paymentPlan: 'Annual Plan'
+  });
+  assert.strictEqual(res.status, 201);
+  reference = res.body.data.registrationId;
+});
+
+after(teardown);
+
+test('registrations are given a random reference instead of their id', () => {
+  assert.match(reference, /^MBU-[A-HJ-NP-Z2-9]{10}$/);
+});
+
+test('families can look up their status with the reference and phone', async () => {
+  const res = await lookup(reference.toLowerCase(), '0804 444 3333');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data, {
+    reference: reference,
+    status: 'pending',
+    section: 'Primary School',
+    payment_status: 'unpaid'
+  });
+});
+
+test('a wrong or missing phone number reveals nothing', async () => {
+  const wrongPhone = await lookup(reference, '08011112222');
+  const unknownReference = await lookup('MBU-AAAAAAAAAA', '08044443333');
+  const noPhone = await lookup(reference);
+
+  assert.strictEqual(wrongPhone.status, 404);
+  assert.deepStrictEqual(wrongPhone.body, unknownReference.body);
+  assert.strictEqual(noPhone.status, 400);
+  assert.strictEqual(wrongPhone.body.data, undefined);
+});
+
+test('approving a registration emails the family their fees', async () => {
+  const student = await createRegistration({ section: 'Primary School', student_age: 9, email: 'approved@example.com', payment_plan: 'Annual Plan' });
+
+  const res = await api('patch', `/api/registration/${student.id}/status`).send({ status: 'approved' });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.channels, ['email']);
+  const [email] = await emailsTo('approved@example.com');
+  assert.match(email.subject, /^Registration Approved/);
+  assert.match(email.text_body, /Amount Due: ₦40,000/);
+  assert.ok(email.text_body.includes(student.reference_code));
+});
+
+test('rejections include the reason given', async () => {
+  const student = await createRegistration({ email: 'rejected@example.com' });
+
+  const res = await api('patch', `/api/registration/${student.id}/status`).send({ status: 'rejected', reason: 'The class is for returning pupils only' });
+
+  assert.strictEqual(res.status, 200);
+  const [email] = await emailsTo('rejected@example.com');
+  assert.match(email.subject, /^Registration Update/);
+  assert.match(email.text_body, /Reason: The class is for returning pupils only/);
+});
+
+test('admins can preview the email or choose not to send it', async () => {
+  const student = await createRegistration({ email: 'quiet@example.com' });
+
+  const preview = await api('post', `/api/registration/${student.id}/status/preview`).send({ status: 'rejected', reason: 'Incomplete <b>form</b>' });
+  assert.strictEqual(preview.status, 200);
+  assert.strictEqual(preview.body.data.to, 'quiet@example.com');
+  assert.ok(preview.body.data.html.includes('Incomplete &lt;b&gt;form&lt;/b&gt;'));
+  assert.strictEqual((await db.get('SELECT status FROM students WHERE id = ?', [student.id])).status, 'pending');
+
+  const res = await api('patch', `/api/registration/${student.id}/status`).send({ status: 'rejected', notify: false });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.notified, false);
+  assert.deepStrictEqual(await emailsTo('quiet@example.com'), []);
+});
+
+test('only approvals and rejections can be previewed, with a bounded reason', async () => {
+  const student = await createRegistration({ email: 'preview@example.com' });
+
+  const pending = await api('post', `/api/registration/${student.id}/status/preview`).send({ status: 'pending' });
+  const longReason = await api('patch', `/api/registration/${student.id}/status`).send({ status: 'rejected', reason: 'x'.repeat(501) });
+
+  assert.strictEqual(pending.status, 400);
+  assert.strictEqual(longReason.status, 400);
+  assert.strictEqual((await db.get('SELECT status FROM students WHERE id = ?', [student.id])).status, 'pending');
+});
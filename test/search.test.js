@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createStaff, createRegistration } = require('./helpers');
+
+let token;
+
+const search = (q, type, as = token) => request(app)
+  .get('/api/admin/search')
+  .query({ q, type })
+  .set('Authorization', `Bearer ${as}`);
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('matches are highlighted and the rest of the field is escaped', async () => {
+  await db.run(
+    'INSERT INTO contact_messages (name, email, subject, message) VALUES (?, ?, ?, ?)',
+    ['<img src=x onerror=alert(1)> Halima', 'halima@example.com', 'Admission', 'Is there space in Tahfiz?']
+  );
+
+  const res = await search('halima', 'messages');
+
+  assert.strictEqual(res.status, 200);
+  const [result] = res.body.data.messages.results;
+  assert.strictEqual(result.highlights.name, '&lt;img src=x onerror=alert(1)&gt; <mark>Halima</mark>');
+});
+
+test('every word must match the start of a word in the record', async () => {
+  await createRegistration({ student_name: 'Aisha Umar', phone: '08031112222' });
+
+  const found = await search('ais 0803', 'students');
+  const missed = await search('ais 0704', 'students');
+
+  assert.strictEqual(found.body.data.students.total, 1);
+  assert.strictEqual(missed.body.data.students.total, 0);
+});
+
+test('the index follows updates and deletes', async () => {
+  const { id } = await createRegistration({ student_name: 'Zulaiha Bashir', phone: '08032223333' });
+
+  await db.run("UPDATE students SET student_name = 'Zulaiha Abdullahi' WHERE id = ?", [id]);
+  assert.strictEqual((await search('bashir', 'students')).body.data.students.total, 0);
+  assert.strictEqual((await search('abdullahi', 'students')).body.data.students.total, 1);
+
+  await db.run('DELETE FROM students WHERE id = ?', [id]);
+  assert.strictEqual((await search('abdullahi', 'students')).body.data.students.total, 0);
+});
+
+test('accents in names do not have to be typed', async () => {
+  await createRegistration({ student_name: 'Amīnah Ṣāliḥ', phone: '08033334444' });
+
+  const res = await search('aminah salih', 'students');
+
+  assert.strictEqual(res.body.data.students.total, 1);
+});
+
+test('staff only search what they can read', async () => {
+  const { token: receptionistToken } = await createStaff('receptionist');
+
+  const all = await search('halima', undefined, receptionistToken);
+  const students = await search('aisha', 'students', receptionistToken);
+
+  assert.deepStrictEqual(Object.keys(all.body.data), ['messages']);
+  assert.strictEqual(students.status, 403);
+});
+
+test('search text must be long enough and contain letters or numbers', async () => {
+  const short = await search('a');
+  const symbols = await search('"*"');
+
+  assert.strictEqual(short.status, 400);
+  assert.strictEqual(symbols.status, 400);
+  assert.strictEqual(symbols.body.message, 'Search text must include letters or numbers');
+});
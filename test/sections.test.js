@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createStaff, createRegistration } = require('./helpers');
+const { formatAuditEntry } = require('../utils/audit');
+
+let token;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const createSection = async (fields = {}) => {
+  const res = await api('post', '/api/sections').send({ name: 'Evening Class', capacity: 20, feeTermly: 10000, feeAnnual: 27000, ...fields });
+  assert.strictEqual(res.status, 201);
+  return res.body.data;
+};
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('deleting a section deletes its session fees and logs them', async () => {
+  const section = await createSection();
+  const session = await api('post', '/api/academic/sessions').send({ name: '2026/2027', startDate: '2026-09-01', endDate: '2027-07-31' });
+  await api('put', `/api/academic/sessions/${session.body.data.id}/fees/${section.id}`).send({ feeTermly: 12000, feeAnnual: 32000 });
+
+  const res = await api('delete', `/api/sections/${section.id}`);
+  assert.strictEqual(res.status, 200);
+
+  const { count } = await db.get('SELECT COUNT(*) as count FROM section_fees WHERE section_id = ?', [section.id]);
+  assert.strictEqual(count, 0);
+
+  const entry = formatAuditEntry(await db.get("SELECT * FROM audit_log WHERE action = 'section.delete'"));
+  assert.deepStrictEqual(entry.before_value.fees, [{ session_id: session.body.data.id, fee_termly: 12000, fee_annual: 32000 }]);
+});
+
+test('admins can create a section and it is offered on the public list', async () => {
+  const section = await createSection({ name: 'Adult Literacy', ageMin: 18, ageMax: 80, description: 'Reading and writing' });
+
+  assert.strictEqual(section.capacity, 20);
+  assert.strictEqual(section.fee_termly, 10000);
+  assert.strictEqual(section.age_min, 18);
+  assert.strictEqual(section.is_active, 1);
+
+  const res = await request(app).get('/api/sections');
+  assert.ok(res.body.data.some(listed => listed.name === 'Adult Literacy'));
+});
+
+test('sections with a reversed age range or a taken name are rejected', async () => {
+  const reversed = await api('post', '/api/sections').send({ name: 'Weekend Class', capacity: 10, feeTermly: 0, feeAnnual: 0, ageMin: 12, ageMax: 6 });
+  const taken = await api('post', '/api/sections').send({ name: 'Tahfiz', capacity: 10, feeTermly: 0, feeAnnual: 0 });
+  const missing = await api('post', '/api/sections').send({ name: 'Weekend Class' });
+
+  assert.strictEqual(reversed.status, 400);
+  assert.strictEqual(reversed.body.message, 'Minimum age cannot be greater than maximum age');
+  assert.strictEqual(taken.status, 400);
+  assert.strictEqual(taken.body.message, 'A section with this name already exists');
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.message, 'Validation failed');
+});
+
+test('staff without sections:write cannot change sections', async () => {
+  const { token: registrarToken } = await createStaff('registrar');
+
+  const res = await request(app)
+    .post('/api/sections')
+    .set('Authorization', `Bearer ${registrarToken}`)
+    .send({ name: 'Weekend Class', capacity: 10, feeTermly: 0, feeAnnual: 0 });
+
+  assert.strictEqual(res.status, 403);
+});
+
+test('PUT replaces every field and PATCH changes only the ones given', async () => {
+  const { id } = await db.get("SELECT id FROM sections WHERE name = 'Adult Literacy'");
+
+  const replaced = await api('put', `/api/sections/${id}`).send({ name: 'Adult Literacy', capacity: 30, feeTermly: 8000, feeAnnual: 22000 });
+  assert.strictEqual(replaced.status, 200);
+  assert.strictEqual(replaced.body.data.capacity, 30);
+  assert.strictEqual(replaced.body.data.description, null);
+  assert.strictEqual(replaced.body.data.age_min, null);
+
+  const patched = await api('patch', `/api/sections/${id}`).send({ isActive: false });
+  assert.strictEqual(patched.status, 200);
+  assert.strictEqual(patched.body.data.is_active, 0);
+  assert.strictEqual(patched.body.data.capacity, 30);
+
+  const res = await request(app).get('/api/sections');
+  assert.ok(!res.body.data.some(listed => listed.name === 'Adult Literacy'));
+});
+
+test('capacity cannot drop below current enrollment', async () => {
+  const section = await db.get("SELECT * FROM sections WHERE name = 'Primary School'");
+  await db.run('UPDATE sections SET current_enrollment = 5 WHERE id = ?', [section.id]);
+
+  const res = await api('patch', `/api/sections/${section.id}`).send({ capacity: 4 });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.message, 'Capacity cannot be below current enrollment (5)');
+  const { capacity } = await db.get('SELECT capacity FROM sections WHERE id = ?', [section.id]);
+  assert.strictEqual(capacity, section.capacity);
+});
+
+test('a section with registrations cannot be deleted', async () => {
+  const section = await createSection({ name: 'Holiday Class' });
+  await createRegistration({ section: 'Holiday Class' });
+
+  const res = await api('delete', `/api/sections/${section.id}`);
+
+  assert.strictEqual(res.status, 409);
+  assert.ok(await db.get('SELECT id FROM sections WHERE id = ?', [section.id]));
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createRegistration } = require('./helpers');
+
+let token;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const enrollment = async (section) => (await db.get('SELECT current_enrollment FROM sections WHERE name = ?', [section])).current_enrollment;
+
+const registrationStatus = async (id) => (await db.get('SELECT status FROM students WHERE id = ?', [id])).status;
+
+// Approve a new registration and enroll it as a student
+const enrollPupil = async (registrationFields = {}, profile = {}) => {
+  const registration = await createRegistration({ section: 'Islamiyya', student_age: 10, ...registrationFields });
+  await api('patch', `/api/registration/${registration.id}/status`).send({ status: 'approved', notify: false });
+  const res = await api('post', '/api/students').send({ registrationId: registration.id, enrolledOn: '2026-09-08', ...profile });
+  assert.strictEqual(res.status, 201);
+  return res.body.data;
+};
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('enrolling an approved registration gives the next admission number', async () => {
+  const first = await enrollPupil({ student_name: 'Nafisa Idris', phone: '08050000001' });
+  const second = await enrollPupil({ student_name: 'Yusuf Idris', phone: '08050000002' }, { gender: 'male', classPlacement: 'Islamiyya 2B' });
+
+  assert.strictEqual(first.admission_number, 'MBU/2026/0001');
+  assert.strictEqual(second.admission_number, 'MBU/2026/0002');
+  assert.strictEqual(first.full_name, 'Nafisa Idris');
+  assert.strictEqual(first.guardian_name, 'Musa Bello');
+  assert.strictEqual(second.class_placement, 'Islamiyya 2B');
+  assert.strictEqual(second.status, 'enrolled');
+});
+
+test('only approved registrations are enrolled, and only once', async () => {
+  const pending = await createRegistration({ student_name: 'Pending Pupil', phone: '08050000003' });
+  const enrolled = await db.get("SELECT registration_id FROM student_records WHERE full_name = 'Nafisa Idris'");
+
+  const notApproved = await api('post', '/api/students').send({ registrationId: pending.id });
+  const again = await api('post', '/api/students').send({ registrationId: enrolled.registration_id });
+  const unknown = await api('post', '/api/students').send({ registrationId: 9999 });
+
+  assert.strictEqual(notApproved.status, 400);
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(unknown.status, 404);
+});
+
+test('the profile shows the application and only changes the fields sent', async () => {
+  const record = await db.get("SELECT * FROM student_records WHERE full_name = 'Nafisa Idris'");
+
+  const updated = await api('patch', `/api/students/${record.id}`).send({ dateOfBirth: '2016-04-02', medicalNotes: 'Asthma inhaler in bag' });
+  const profile = await api('get', `/api/students/${record.id}`);
+
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(profile.body.data.date_of_birth, '2016-04-02');
+  assert.strictEqual(profile.body.data.medical_notes, 'Asthma inhaler in bag');
+  assert.strictEqual(profile.body.data.guardian_name, 'Musa Bello');
+  assert.strictEqual(profile.body.data.registration.status, 'approved');
+  assert.deepStrictEqual(profile.body.data.documents, []);
+});
+
+test('profile updates are validated', async () => {
+  const record = await db.get("SELECT id FROM student_records WHERE full_name = 'Nafisa Idris'");
+
+  const gender = await api('patch', `/api/students/${record.id}`).send({ gender: 'unknown' });
+  const empty = await api('patch', `/api/students/${record.id}`).send({});
+
+  assert.strictEqual(gender.status, 400);
+  assert.strictEqual(empty.status, 400);
+  assert.match(empty.body.message, /^Send at least one of: fullName, /);
+});
+
+test('moving to another section takes a seat there and frees the old one', async () => {
+  const record = await db.get("SELECT * FROM student_records WHERE full_name = 'Yusuf Idris'");
+  const islamiyya = await enrollment('Islamiyya');
+  const tahfiz = await enrollment('Tahfiz');
+
+  const res = await api('post', `/api/students/${record.id}/transfer`).send({ section: 'Tahfiz', classPlacement: 'Tahfiz 1A' });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.section, 'Tahfiz');
+  assert.strictEqual(await enrollment('Islamiyya'), islamiyya - 1);
+  assert.strictEqual(await enrollment('Tahfiz'), tahfiz + 1);
+});
+
+test('transfers need an open section with a seat, or a school', async () => {
+  const record = await db.get("SELECT id FROM student_records WHERE full_name = 'Yusuf Idris'");
+  await db.run("UPDATE sections SET capacity = current_enrollment WHERE name = 'Primary School'");
+
+  const full = await api('post', `/api/students/${record.id}/transfer`).send({ section: 'Primary School' });
+  const both = await api('post', `/api/students/${record.id}/transfer`).send({ section: 'Nursery', school: 'Kano Model School' });
+  const same = await api('post', `/api/students/${record.id}/transfer`).send({ section: 'Tahfiz' });
+
+  assert.strictEqual(full.status, 400);
+  assert.strictEqual(full.body.message, 'Selected section is at full capacity');
+  assert.strictEqual(both.status, 400);
+  assert.strictEqual(same.status, 400);
+});
+
+test('students who leave free their seat and cannot leave twice', async () => {
+  const withdrawn = await db.get("SELECT * FROM student_records WHERE full_name = 'Nafisa Idris'");
+  const transferred = await db.get("SELECT * FROM student_records WHERE full_name = 'Yusuf Idris'");
+  const graduating = await enrollPupil({ student_name: 'Hafsat Idris', phone: '08050000004' });
+  const islamiyya = await enrollment('Islamiyya');
+
+  const withdraw = await api('post', `/api/students/${withdrawn.id}/withdraw`).send({ reason: 'Family relocated' });
+  const transfer = await api('post', `/api/students/${transferred.id}/transfer`).send({ school: 'Kano Model School' });
+  const graduate = await api('post', `/api/students/${graduating.id}/graduate`).send({ date: '2027-07-20' });
+  const again = await api('post', `/api/students/${withdrawn.id}/graduate`).send({});
+
+  assert.deepStrictEqual([withdraw.status, transfer.status, graduate.status], [200, 200, 200]);
+  assert.strictEqual(withdraw.body.data.status, 'withdrawn');
+  assert.strictEqual(transfer.body.data.transferred_to, 'Kano Model School');
+  assert.strictEqual(graduate.body.data.left_on, '2027-07-20');
+  assert.strictEqual(await registrationStatus(withdrawn.registration_id), 'withdrawn');
+  assert.strictEqual(await registrationStatus(transferred.registration_id), 'withdrawn');
+  assert.strictEqual(await registrationStatus(graduating.registration_id), 'graduated');
+  assert.strictEqual(await enrollment('Islamiyya'), islamiyya - 2);
+  assert.strictEqual(again.status, 400);
+  assert.strictEqual(again.body.message, 'This student is no longer enrolled (withdrawn)');
+});
+
+test('student records can be listed by status', async () => {
+  const res = await api('get', '/api/students?status=graduated,transferred&sort=full_name&order=asc');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.map(record => record.full_name), ['Hafsat Idris', 'Yusuf Idris']);
+});
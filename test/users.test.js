@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, request, setup, teardown, login, createStaff } = require('./helpers');
+
+let superAdminToken;
+
+const asSuperAdmin = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${superAdminToken}`);
+
+before(async () => {
+  await setup();
+  superAdminToken = await login('admin', 'admin123');
+});
+
+after(teardown);
+
+test('disabling an account rejects its existing token', async () => {
+  const registrar = await createStaff('registrar');
+
+  const allowed = await request(app).get('/api/registration').set('Authorization', `Bearer ${registrar.token}`);
+  assert.strictEqual(allowed.status, 200);
+
+  const disabled = await asSuperAdmin('patch', `/api/admin/users/${registrar.id}/status`).send({ isActive: false });
+  assert.strictEqual(disabled.status, 200);
+
+  const res = await request(app).get('/api/registration').set('Authorization', `Bearer ${registrar.token}`);
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.message, 'This account has been disabled');
+});
+
+test('a role change applies to an existing token', async () => {
+  const staff = await createStaff('teacher');
+
+  const before = await request(app).get('/api/contact').set('Authorization', `Bearer ${staff.token}`);
+  assert.strictEqual(before.status, 403);
+
+  const changed = await asSuperAdmin('patch', `/api/admin/users/${staff.id}/role`).send({ role: 'receptionist' });
+  assert.strictEqual(changed.status, 200);
+
+  const after = await request(app).get('/api/contact').set('Authorization', `Bearer ${staff.token}`);
+  assert.strictEqual(after.status, 200);
+
+  const registrations = await request(app).get('/api/registration').set('Authorization', `Bearer ${staff.token}`);
+  assert.strictEqual(registrations.status, 403);
+});
+
+test('a deleted account cannot use its token', async () => {
+  const bursar = await createStaff('bursar');
+
+  const deleted = await asSuperAdmin('delete', `/api/admin/users/${bursar.id}`);
+  assert.strictEqual(deleted.status, 200);
+
+  const res = await request(app).get('/api/payments').set('Authorization', `Bearer ${bursar.token}`);
+  assert.strictEqual(res.status, 403);
+});
+
+test('usernames cannot contain markup', async () => {
+  const res = await asSuperAdmin('post', '/api/admin/users').send({
+    username: '<img src=x onerror=alert(1)>',
+    email: 'markup@example.com',
+    password: 'password123'
+  });
+
+  assert.strictEqual(res.status, 400);
+});
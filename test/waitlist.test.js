@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, db, request, setup, teardown, login, createRegistration } = require('./helpers');
+
+let token;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const register = (fields) => request(app).post('/api/registration').send({
+  parentName: 'Bala Usman',
+  phone: '08061230000',
+  studentAge: 10,
+  section: 'Islamiyya',
+  paymentPlan: 'Termly Plan',
+  ...fields
+});
+
+const waitlistIds = async () => {
+  const res = await api('get', '/api/sections/Islamiyya/waitlist');
+  assert.strictEqual(res.status, 200);
+  return res.body.data.waitlist.map(student => student.id);
+};
+
+before(async () => {
+  await setup();
+  token = await login('admin', 'admin123');
+  await db.run("UPDATE sections SET capacity = 1, current_enrollment = 0 WHERE name = 'Islamiyya'");
+});
+
+after(teardown);
+
+test('registrations for a full section join the waitlist in order', async () => {
+  const seated = await createRegistration({ section: 'Islamiyya', student_age: 10 });
+  await api('patch', `/api/registration/${seated.id}/status`).send({ status: 'approved', notify: false });
+
+  const first = await register({ studentName: 'Umar Bala', email: 'umar@example.com' });
+  const second = await register({ studentName: 'Zara Bala', phone: '08061230001' });
+
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.body.data.status, 'waitlisted');
+  assert.strictEqual(first.body.data.waitlistPosition, 1);
+  assert.strictEqual(second.body.data.waitlistPosition, 2);
+});
+
+test('a freed seat goes to the first family on the waitlist, who is emailed', async () => {
+  const seated = await db.get("SELECT id FROM students WHERE section = 'Islamiyya' AND status = 'approved'");
+  const [firstId, secondId] = await waitlistIds();
+
+  const res = await api('patch', `/api/registration/${seated.id}/status`).send({ status: 'rejected', notify: false });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.promoted, [firstId]);
+
+  const promoted = await db.get('SELECT status, waitlist_position FROM students WHERE id = ?', [firstId]);
+  assert.deepStrictEqual({ ...promoted }, { status: 'approved', waitlist_position: null });
+  assert.deepStrictEqual(await waitlistIds(), [secondId]);
+
+  const notice = await db.get("SELECT * FROM email_outbox WHERE to_address = 'umar@example.com' AND subject LIKE 'A Place Is Now Available%'");
+  assert.ok(notice, 'no promotion email was queued');
+});
+
+test('admins can reorder the waitlist', async () => {
+  const third = await register({ studentName: 'Musa Bala', phone: '08061230002' });
+  assert.strictEqual(third.body.data.waitlistPosition, 2);
+  const [secondId, thirdId] = await waitlistIds();
+
+  const res = await api('put', '/api/sections/Islamiyya/waitlist').send({ studentIds: [thirdId, secondId] });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await waitlistIds(), [thirdId, secondId]);
+});
+
+test('a reorder must list every waitlisted registration exactly once', async () => {
+  const [firstId, secondId] = await waitlistIds();
+
+  const missing = await api('put', '/api/sections/Islamiyya/waitlist').send({ studentIds: [firstId] });
+  const repeated = await api('put', '/api/sections/Islamiyya/waitlist').send({ studentIds: [firstId, firstId] });
+
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(repeated.status, 400);
+  assert.deepStrictEqual(await waitlistIds(), [firstId, secondId]);
+});
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { renderEmail } = require('./emailTemplates');
+const { queueEmail } = require('./outbox');
+
+const ANNOUNCEMENT_STATUSES = ['draft', 'scheduled', 'sending', 'sent'];
+
+const pollIntervalMs = parseInt(process.env.ANNOUNCEMENT_WORKER_INTERVAL_MS) || 30000;
+
+let processing = null;
+let timer = null;
+
+// Recipient filters are stored as JSON arrays. An empty filter matches everyone.
+const getFilters = (announcement) => ({
+  sections: JSON.parse(announcement.sections || '[]'),
+  statuses: JSON.parse(announcement.statuses || '[]'),
+  paymentStatuses: JSON.parse(announcement.payment_statuses || '[]')
+});
+
+// Families an announcement goes to, one per email address. Addresses that
+// have unsubscribed only receive essential announcements.
+const findRecipients = async ({ sections = [], statuses = [], paymentStatuses = [] }, isEssential) => {
+  let query = `SELECT LOWER(TRIM(email)) as email, MIN(parent_name) as parent_name
+    FROM students WHERE email IS NOT NULL AND TRIM(email) != ''`;
+  const params = [];
+
+  const filters = [['section', sections], ['status', statuses], ['payment_status', paymentStatuses]];
+  for (const [column, values] of filters) {
+    if (values.length > 0) {
+      query += ` AND ${column} IN (${values.map(() => '?').join(', ')})`;
+      params.push(...values);
+    }
+  }
+
+  if (!isEssential) {
+    query += ' AND LOWER(TRIM(email)) NOT IN (SELECT email FROM email_unsubscribes)';
+  }
+
+  query += ' GROUP BY LOWER(TRIM(email)) ORDER BY email';
+  return db.all(query, params);
+};
+
+// Unsubscribe links carry a signature of the address so they can't be forged
+const unsubscribeToken = (email) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(email.trim().toLowerCase())
+  .digest('hex');
+
+const isValidUnsubscribeToken = (email, token) => {
+  const expected = Buffer.from(unsubscribeToken(email));
+  const given = Buffer.from(String(token || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const unsubscribeLink = (email) => {
+  const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${appUrl}/unsubscribe/?email=${encodeURIComponent(email)}&token=${unsubscribeToken(email)}`;
+};
+
+const renderAnnouncement = (announcement, recipient) => renderEmail('announcement', {
+  parentName: recipient.parent_name || 'Parent/Guardian',
+  title: announcement.title,
+  message: announcement.message,
+  unsubscribeLink: announcement.is_essential ? null : unsubscribeLink(recipient.email)
+});
+
+// A recipient's delivery status comes from their email in the outbox:
+// queued until it is sent, and failed once the outbox gives up on it.
+// Recipients not handed to the outbox yet keep their own status.
+const RECIPIENT_STATUS = `CASE
+  WHEN r.email_id IS NULL THEN r.status
+  WHEN e.status = 'sent' THEN 'sent'
+  WHEN e.status = 'dead' THEN 'failed'
+  ELSE 'queued'
+END`;
+
+// Queue an announcement for everyone on its recipient list. The list is
+// fixed when sending starts, and each recipient is marked as queued along
+// with their email, so a send interrupted by a restart carries on with the
+// recipients that are still pending. The outbox delivers and retries them.
+const sendAnnouncement = async (announcement) => {
+  if (announcement.status === 'scheduled') {
+    const claimed = await db.transaction(async (tx) => {
+      const claim = await tx.run(
+        `UPDATE announcements SET status = 'sending', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'scheduled'`,
+        [announcement.id]
+      );
+      if (claim.changes === 0) return false;
+
+      const recipients = await findRecipients(getFilters(announcement), announcement.is_essential);
+      for (const recipient of recipients) {
+        await tx.run(
+          'INSERT OR IGNORE INTO announcement_recipients (announcement_id, email, parent_name) VALUES (?, ?, ?)',
+          [announcement.id, recipient.email, recipient.parent_name]
+        );
+      }
+      return true;
+    });
+    if (!claimed) return;
+  }
+
+  const pending = await db.all(
+    `SELECT * FROM announcement_recipients WHERE announcement_id = ? AND status = 'pending' ORDER BY id`,
+    [announcement.id]
+  );
+
+  for (const recipient of pending) {
+    const email = await renderAnnouncement(announcement, recipient);
+    await db.transaction(async (tx) => {
+      const emailId = await queueEmail({ to: recipient.email, ...email });
+      await tx.run(
+        `UPDATE announcement_recipients SET status = 'queued', email_id = ?, error = NULL WHERE id = ?`,
+        [emailId, recipient.id]
+      );
+    });
+  }
+
+  await db.run(
+    `UPDATE announcements SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [announcement.id]
+  );
+  console.log(`📣 Announcement ${announcement.id} queued for ${pending.length} recipients`);
+};
+
+// Send every announcement that is due, and finish any interrupted sends.
+// Overlapping calls share the run in progress.
+const processAnnouncements = () => {
+  if (!processing) {
+    processing = (async () => {
+      try {
+        const due = await db.all(
+          `SELECT * FROM announcements
+           WHERE status = 'sending' OR (status = 'scheduled' AND scheduled_at <= CURRENT_TIMESTAMP)
+           ORDER BY scheduled_at, id`
+        );
+        for (const announcement of due) {
+          try {
+            await sendAnnouncement(announcement);
+          } catch (error) {
+            console.error(`Failed to send announcement ${announcement.id}:`, error);
+          }
+        }
+      } finally {
+        processing = null;
+      }
+    })();
+  }
+  return processing;
+};
+
+// Check for due announcements on the next tick, outside the caller's transaction
+const scheduleProcessing = () => setImmediate(() => {
+  db.detach(processAnnouncements).catch(error => console.error('Announcement worker error:', error));
+});
+
+const startAnnouncementWorker = () => {
+  timer = setInterval(() => {
+    processAnnouncements().catch(error => console.error('Announcement worker error:', error));
+  }, pollIntervalMs);
+  timer.unref();
+
+  scheduleProcessing();
+  console.log('📣 Announcement worker started');
+};
+
+const stopAnnouncementWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  ANNOUNCEMENT_STATUSES,
+  RECIPIENT_STATUS,
+  getFilters,
+  findRecipients,
+  isValidUnsubscribeToken,
+  renderAnnouncement,
+  processAnnouncements,
+  scheduleProcessing,
+  startAnnouncementWorker,
+  stopAnnouncementWorker
+};
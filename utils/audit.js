@@ -0,0 +1,54 @@
+const db = require('../config/database');
+
+// Request fields that must never be written to the log
+const REDACTED_FIELDS = ['password', 'currentPassword', 'newPassword', 'token'];
+
+// Copy of a request body that is safe to store
+const redact = (values) => {
+  if (!values || typeof values !== 'object') return values;
+  return Object.fromEntries(Object.entries(values).map(([key, value]) =>
+    [key, REDACTED_FIELDS.includes(key) ? '[redacted]' : value]
+  ));
+};
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+// Add an entry to the audit log for the signed-in staff member (or `actor`
+// when nobody is signed in yet, e.g. at login). Marks the request so the
+// catch-all audit middleware doesn't log it a second time. A failure to
+// write the log is reported but never undoes the action itself.
+const recordAudit = async (req, { action, entityType, entityId, before, after, actor = req.user }) => {
+  req.auditRecorded = true;
+
+  try {
+    await db.run(
+      `INSERT INTO audit_log (actor_id, actor_username, actor_role, action, entity_type, entity_id, before_value, after_value, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor ? actor.id : null,
+        actor ? actor.username : null,
+        actor ? actor.role : null,
+        action,
+        entityType || null,
+        entityId !== undefined && entityId !== null ? String(entityId) : null,
+        toJson(before),
+        toJson(after),
+        req.ip || null
+      ]
+    );
+  } catch (error) {
+    console.error('Failed to write audit log:', error);
+  }
+};
+
+const formatAuditEntry = (entry) => ({
+  ...entry,
+  before_value: entry.before_value ? JSON.parse(entry.before_value) : null,
+  after_value: entry.after_value ? JSON.parse(entry.after_value) : null
+});
+
+module.exports = {
+  redact,
+  recordAudit,
+  formatAuditEntry
+};
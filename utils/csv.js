@@ -0,0 +1,112 @@
+// Byte order mark so Excel reads the file as UTF-8 and shows names with
+// Arabic and Hausa characters correctly
+const CSV_BOM = '\uFEFF';
+
+// Spreadsheets treat cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// A single signed number, such as a phone number (+234 801 234 5678) or -15.5,
+// can't run anything, so it is left as it is. Anything with a second operator
+// or brackets, like +1-1, could be evaluated and is prefixed.
+const SIGNED_NUMBER = /^[+-]\d[\d\s]*(\.\d+)?$/;
+
+// Format one value as an RFC 4180 field. Fields containing a comma, quote or
+// line break are quoted with inner quotes doubled, and text that would be run
+// as a formula is prefixed with an apostrophe.
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !SIGNED_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatRow = (values) => `${values.map(formatCell).join(',')}\r\n`;
+
+// Resolves once a full stream can take more data, or has been closed
+const waitForDrain = (stream) => new Promise(resolve => {
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+// Write a header row and then each row from an (async) iterable to a
+// writable stream, waiting whenever the stream's buffer is full. Stops early
+// if the stream is closed, e.g. when the client disconnects.
+const writeCsv = async (stream, columns, rows) => {
+  stream.write(CSV_BOM + formatRow(columns));
+
+  for await (const row of rows) {
+    if (stream.destroyed) return;
+    if (!stream.write(formatRow(columns.map(column => row[column])))) {
+      await waitForDrain(stream);
+    }
+  }
+
+  stream.end();
+};
+
+// Parse RFC 4180 text into rows of fields. Accepts CRLF or LF line endings
+// and a leading byte order mark, and skips blank lines. Throws on a quoted
+// field that is never closed.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.startsWith(CSV_BOM) ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('The file has a quoted value that is never closed');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  CSV_BOM,
+  formatCell,
+  formatRow,
+  writeCsv,
+  parseCsv
+};
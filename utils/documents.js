@@ -0,0 +1,108 @@
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+
+// Private storage for registration documents. This must stay outside the
+// public directory and the static /uploads path so files are only reachable
+// through the authenticated download route.
+const documentsDir = path.resolve(process.env.DOCUMENTS_DIR || './storage/documents');
+const maxFileSize = parseInt(process.env.MAX_DOCUMENT_SIZE) || 5 * 1024 * 1024;
+
+// File extensions are taken from the checked MIME type, never from the upload
+const MIME_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png'
+};
+
+// The first bytes of each accepted file type. The type the browser sends is
+// ignored because anyone can set it.
+const FILE_SIGNATURES = {
+  'application/pdf': [0x25, 0x50, 0x44, 0x46, 0x2d],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+};
+
+// Document types families can attach, the form field each is sent in,
+// the MIME types it accepts and how many files it allows
+const DOCUMENT_TYPES = {
+  birth_certificate: {
+    field: 'birthCertificate',
+    mimeTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+    maxCount: 1
+  },
+  passport_photo: {
+    field: 'passportPhoto',
+    mimeTypes: ['image/jpeg', 'image/png'],
+    maxCount: 1
+  },
+  previous_school_records: {
+    field: 'previousSchoolRecords',
+    mimeTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+    maxCount: 5
+  }
+};
+
+const getDocumentType = (field) => Object.keys(DOCUMENT_TYPES)
+  .find(type => DOCUMENT_TYPES[type].field === field);
+
+if (!fs.existsSync(documentsDir)) {
+  fs.mkdirSync(documentsDir, { recursive: true });
+}
+
+// Uploads are held in memory until the request has been checked, so
+// rejected requests never leave files behind
+const uploadDocuments = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize }
+}).fields(Object.values(DOCUMENT_TYPES).map(({ field, maxCount }) => ({ name: field, maxCount })));
+
+const detectMimeType = (buffer) => Object.keys(FILE_SIGNATURES)
+  .find(mimeType => FILE_SIGNATURES[mimeType].every((byte, i) => buffer[i] === byte)) || null;
+
+// Check each file's contents are a type its field accepts, and record the
+// detected type on the file. Returns a problem message, or null if all pass.
+const checkFileTypes = (files) => {
+  for (const file of files) {
+    const type = DOCUMENT_TYPES[getDocumentType(file.fieldname)];
+    const mimeType = detectMimeType(file.buffer);
+    if (!type.mimeTypes.includes(mimeType)) {
+      return `${file.originalname} is not an accepted file type for ${file.fieldname}`;
+    }
+    file.mimetype = mimeType;
+  }
+  return null;
+};
+
+const getDocumentPath = (storedName) => path.join(documentsDir, path.basename(storedName));
+
+// Write checked files to private storage under random names
+const saveFiles = async (files) => {
+  for (const file of files) {
+    const filename = uuidv4() + MIME_EXTENSIONS[file.mimetype];
+    await fs.promises.writeFile(getDocumentPath(filename), file.buffer);
+    file.filename = filename;
+    file.path = getDocumentPath(filename);
+  }
+};
+
+// Delete saved files that will not be kept (e.g. after a failed request)
+const removeFiles = (files) => {
+  for (const file of files.filter(file => file.path)) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error('Failed to remove uploaded file:', err);
+    });
+  }
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  maxFileSize,
+  getDocumentType,
+  uploadDocuments,
+  checkFileTypes,
+  getDocumentPath,
+  saveFiles,
+  removeFiles
+};
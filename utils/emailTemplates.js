@@ -0,0 +1,171 @@
+const path = require('path');
+const fs = require('fs');
+const db = require('../config/database');
+const { escapeHtml } = require('./html');
+
+// Default templates ship as files in templates/email: <name>.html and
+// <name>.txt for the body, layout.html and layout.txt for the shared header
+// and footer, and templates.json for each template's subject, heading and
+// sample data. Admin edits are stored in the email_templates table.
+const templatesDir = path.join(__dirname, '..', 'templates', 'email');
+const TEMPLATES = require(path.join(templatesDir, 'templates.json'));
+
+const readTemplateFile = (file) => fs.readFileSync(path.join(templatesDir, file), 'utf8');
+
+const layout = {
+  html: readTemplateFile('layout.html'),
+  text: readTemplateFile('layout.txt')
+};
+
+const defaults = Object.fromEntries(Object.entries(TEMPLATES).map(([name, template]) => [name, {
+  subject: template.subject,
+  heading: template.heading,
+  html: readTemplateFile(`${name}.html`),
+  text: readTemplateFile(`${name}.txt`)
+}]));
+
+// Variables every template can use
+const getGlobals = () => ({
+  schoolName: process.env.SCHOOL_NAME || 'Musab Bin Umair Memorial School',
+  schoolPhone: process.env.SCHOOL_PHONE || '',
+  schoolEmail: process.env.SCHOOL_EMAIL || '',
+  year: new Date().getFullYear()
+});
+
+const GLOBAL_VARIABLES = Object.keys(getGlobals());
+
+const isPresent = (value) => value !== undefined && value !== null && value !== false && value !== '';
+
+const SECTION_PATTERN = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+// {{#name}}...{{/name}} keeps its content when name has a value and
+// {{^name}}...{{/name}} when it doesn't
+const renderSections = (template, data) => template.replace(SECTION_PATTERN, (match, type, key, content) =>
+  isPresent(data[key]) === (type === '#') ? renderSections(content, data) : ''
+);
+
+// Fill in a template. {{name}} is HTML-escaped when rendering HTML and
+// {{{name}}} is always inserted as-is. Only the layout uses {{{content}}},
+// for the body it wraps; edited templates can't use triple braces.
+const render = (template, data, { html = false } = {}) => {
+  const output = renderSections(template, data);
+
+  const unclosed = output.match(/\{\{\s*[#^/]\s*(\w+)\s*\}\}/);
+  if (unclosed) {
+    throw new Error(`Section "${unclosed[1]}" is not opened and closed correctly`);
+  }
+
+  return output.replace(VARIABLE_PATTERN, (match, raw, escaped) => {
+    const value = data[raw || escaped];
+    if (!isPresent(value)) return '';
+    return html && escaped ? escapeHtml(value) : String(value);
+  });
+};
+
+// Names of the variables and sections a template uses
+const findVariables = (template) => {
+  const names = new Set();
+  for (const match of String(template || '').matchAll(/\{\{\{?\s*[#^/]?\s*(\w+)\s*\}?\}\}/g)) {
+    names.add(match[1]);
+  }
+  return [...names];
+};
+
+const getTemplateVariables = (name) => [...Object.keys(TEMPLATES[name].sample), ...GLOBAL_VARIABLES];
+
+const isTemplate = (name) => Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+
+// Get a template with any saved admin edits applied
+const getTemplate = async (name) => {
+  if (!isTemplate(name)) return null;
+
+  const saved = await db.get('SELECT * FROM email_templates WHERE name = ?', [name]);
+
+  return {
+    name: name,
+    description: TEMPLATES[name].description,
+    subject: saved ? saved.subject : defaults[name].subject,
+    heading: saved ? saved.heading : defaults[name].heading,
+    html: saved ? saved.html_body : defaults[name].html,
+    text: saved ? saved.text_body : defaults[name].text,
+    customized: Boolean(saved),
+    updated_at: saved ? saved.updated_at : null,
+    variables: getTemplateVariables(name),
+    sample: TEMPLATES[name].sample
+  };
+};
+
+const listTemplates = async () => {
+  const templates = [];
+  for (const name of Object.keys(TEMPLATES)) {
+    const { html, text, ...template } = await getTemplate(name);
+    templates.push(template);
+  }
+  return templates;
+};
+
+// Check edited fields before they are saved. Returns a list of problems.
+const validateTemplate = (name, fields) => {
+  const allowed = new Set(getTemplateVariables(name));
+  const problems = [];
+
+  for (const [field, template] of Object.entries(fields)) {
+    if (typeof template !== 'string') {
+      problems.push(`${field} must be text`);
+      continue;
+    }
+
+    // Variables hold what families typed, so they must always be escaped
+    if (/\{\{\{/.test(template)) {
+      problems.push(`${field} cannot use {{{triple braces}}}; use {{name}} instead`);
+      continue;
+    }
+
+    const unknown = findVariables(template).filter(variable => !allowed.has(variable));
+    if (unknown.length > 0) {
+      problems.push(`${field} uses unknown variables: ${unknown.join(', ')}`);
+      continue;
+    }
+
+    try {
+      render(template, TEMPLATES[name].sample);
+    } catch (error) {
+      problems.push(`${field}: ${error.message}`);
+    }
+  }
+
+  return problems;
+};
+
+// Render a template's subject, HTML and plain-text bodies inside the shared layout
+const renderTemplate = (template, data) => {
+  const variables = { ...data, ...getGlobals() };
+  const heading = render(template.heading || '', variables);
+
+  return {
+    subject: render(template.subject, variables),
+    html: render(layout.html, { ...variables, heading, content: render(template.html, variables, { html: true }) }, { html: true }),
+    // Sections that render nothing leave blank lines behind in the plain text
+    text: render(layout.text, { ...variables, heading, content: render(template.text, variables).trim() }).replace(/\n{3,}/g, '\n\n')
+  };
+};
+
+const renderEmail = async (name, data) => {
+  const template = await getTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return renderTemplate(template, data);
+};
+
+module.exports = {
+  getGlobals,
+  render,
+  isTemplate,
+  getTemplate,
+  listTemplates,
+  validateTemplate,
+  renderTemplate,
+  renderEmail
+};
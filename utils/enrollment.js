@@ -0,0 +1,126 @@
+const db = require('../config/database');
+const { notifyFamily } = require('./notifications');
+
+// Registrations with this status hold a seat in their section
+const ENROLLED_STATUS = 'approved';
+
+// Registrations with this status are queued for a seat
+const WAITLISTED_STATUS = 'waitlisted';
+
+// Move a section's enrollment count to match a registration status change.
+// Returns false when the section has no seat left for a new approval.
+const applyStatusChange = async (sectionName, fromStatus, toStatus) => {
+  const wasEnrolled = fromStatus === ENROLLED_STATUS;
+  const isEnrolled = toStatus === ENROLLED_STATUS;
+
+  if (!wasEnrolled && isEnrolled) {
+    const result = await db.run(
+      `UPDATE sections SET current_enrollment = current_enrollment + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE name = ? AND current_enrollment < capacity`,
+      [sectionName]
+    );
+
+    return result.changes > 0;
+  }
+
+  if (wasEnrolled && !isEnrolled) {
+    await db.run(
+      `UPDATE sections SET current_enrollment = MAX(current_enrollment - 1, 0), updated_at = CURRENT_TIMESTAMP
+       WHERE name = ?`,
+      [sectionName]
+    );
+  }
+
+  return true;
+};
+
+// Position for the next family joining a section's waitlist
+const nextWaitlistPosition = async (sectionName) => {
+  const { position } = await db.get(
+    'SELECT COALESCE(MAX(waitlist_position), 0) + 1 as position FROM students WHERE section = ? AND status = ?',
+    [sectionName, WAITLISTED_STATUS]
+  );
+  return position;
+};
+
+// Close the gap left when a registration leaves the waitlist
+const leaveWaitlist = async (sectionName, position) => {
+  await db.run(
+    `UPDATE students SET waitlist_position = waitlist_position - 1
+     WHERE section = ? AND status = ? AND waitlist_position > ?`,
+    [sectionName, WAITLISTED_STATUS, position]
+  );
+};
+
+// Promote waitlisted registrations into any free seats, in queue order
+const fillFromWaitlist = async (sectionName) => {
+  const promoted = [];
+
+  for (;;) {
+    const next = await db.get(
+      'SELECT * FROM students WHERE section = ? AND status = ? ORDER BY waitlist_position LIMIT 1',
+      [sectionName, WAITLISTED_STATUS]
+    );
+    if (!next) break;
+
+    const seatAvailable = await applyStatusChange(sectionName, WAITLISTED_STATUS, ENROLLED_STATUS);
+    if (!seatAvailable) break;
+
+    await db.run(
+      'UPDATE students SET status = ?, waitlist_position = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [ENROLLED_STATUS, next.id]
+    );
+    await leaveWaitlist(sectionName, next.waitlist_position);
+    promoted.push(next);
+  }
+
+  return promoted;
+};
+
+// Let promoted families know a seat has been offered to them
+const sendPromotionNotices = async (students) => {
+  for (const student of students) {
+    await notifyFamily(student, 'waitlistPromotion', {
+      parentName: student.parent_name,
+      studentName: student.student_name,
+      section: student.section,
+      registrationId: student.reference_code
+    });
+  }
+};
+
+// Recompute every section's enrollment count from the students table
+const reconcileEnrollment = async () => db.transaction(async () => {
+  const sections = await db.all(`
+    SELECT
+      s.name,
+      s.current_enrollment as previous,
+      COUNT(st.id) as actual
+    FROM sections s
+    LEFT JOIN students st ON s.name = st.section AND st.status = ?
+    GROUP BY s.id
+    ORDER BY s.name
+  `, [ENROLLED_STATUS]);
+
+  for (const section of sections) {
+    if (section.previous !== section.actual) {
+      await db.run(
+        'UPDATE sections SET current_enrollment = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?',
+        [section.actual, section.name]
+      );
+    }
+  }
+
+  return sections;
+});
+
+module.exports = {
+  ENROLLED_STATUS,
+  WAITLISTED_STATUS,
+  applyStatusChange,
+  nextWaitlistPosition,
+  leaveWaitlist,
+  fillFromWaitlist,
+  sendPromotionNotices,
+  reconcileEnrollment
+};
@@ -0,0 +1,186 @@
+// Shared filtering, sorting and paging for list endpoints. Each list
+// describes the query parameters it accepts; anything else is ignored, and
+// only whitelisted columns ever reach the SQL.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Registrations, as listed by GET /api/registration and a section's students
+const STUDENT_LIST = {
+  // Each value can be repeated or comma-separated: ?status=pending,waitlisted
+  filters: {
+    status: 'status',
+    section: 'section',
+    payment_plan: 'payment_plan',
+    payment_status: 'payment_status',
+    term_id: 'term_id'
+  },
+  ranges: {
+    min_age: { column: 'student_age', op: '>=', type: 'int' },
+    max_age: { column: 'student_age', op: '<=', type: 'int' },
+    from: { column: 'created_at', op: '>=', type: 'date' },
+    to: { column: 'created_at', op: '<=', type: 'date' }
+  },
+  sortable: ['created_at', 'updated_at', 'student_name', 'student_age', 'parent_name', 'section', 'status', 'payment_plan', 'payment_status', 'waitlist_position'],
+  defaultSort: 'created_at'
+};
+
+const MESSAGE_LIST = {
+  filters: {
+    status: 'status'
+  },
+  ranges: {
+    from: { column: 'created_at', op: '>=', type: 'date' },
+    to: { column: 'created_at', op: '<=', type: 'date' }
+  },
+  sortable: ['created_at', 'updated_at', 'name', 'email', 'subject', 'status'],
+  defaultSort: 'created_at'
+};
+
+// Enrolled pupils, as listed by GET /api/students
+const STUDENT_RECORD_LIST = {
+  filters: {
+    status: 'status',
+    section: 'section',
+    class_placement: 'class_placement',
+    gender: 'gender'
+  },
+  ranges: {
+    from: { column: 'enrolled_on', op: '>=', type: 'date' },
+    to: { column: 'enrolled_on', op: '<=', type: 'date' }
+  },
+  sortable: ['admission_number', 'full_name', 'enrolled_on', 'section', 'class_placement', 'status', 'created_at'],
+  defaultSort: 'created_at'
+};
+
+const AUDIT_LOG_LIST = {
+  filters: {
+    actor_id: 'actor_id',
+    actor_username: 'actor_username',
+    action: 'action',
+    entity_type: 'entity_type',
+    entity_id: 'entity_id',
+    ip_address: 'ip_address'
+  },
+  ranges: {
+    from: { column: 'created_at', op: '>=', type: 'date' },
+    to: { column: 'created_at', op: '<=', type: 'date' }
+  },
+  sortable: ['created_at', 'action', 'entity_type', 'actor_username'],
+  defaultSort: 'created_at'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query values arrive as a string, a comma-separated list or repeated keys
+const getValues = (value) => [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Build the WHERE conditions for a list's filters and ranges. Returns the
+// conditions and their parameters, plus a list of problems with the query.
+const buildFilters = (list, query) => {
+  const conditions = [];
+  const params = [];
+  const errors = [];
+
+  for (const [param, column] of Object.entries(list.filters)) {
+    if (query[param] === undefined) continue;
+
+    const values = getValues(query[param]);
+    if (values.length === 0) continue;
+
+    conditions.push(values.length === 1 ? `${column} = ?` : `${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  }
+
+  for (const [param, { column, op, type }] of Object.entries(list.ranges || {})) {
+    if (query[param] === undefined || query[param] === '') continue;
+
+    const value = String(query[param]);
+    if (type === 'int' && !/^\d+$/.test(value)) {
+      errors.push(`${param} must be a whole number`);
+    } else if (type === 'date' && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+      errors.push(`${param} must be a date (YYYY-MM-DD)`);
+    } else if (type === 'date') {
+      conditions.push(`date(${column}) ${op} date(?)`);
+      params.push(value);
+    } else {
+      conditions.push(`${column} ${op} ?`);
+      params.push(parseInt(value));
+    }
+  }
+
+  return { conditions, params, errors };
+};
+
+// Read ?page= and ?limit= for any paged list. Returns the page, limit and
+// offset, plus a list of problems with them.
+const readPaging = (query) => {
+  const errors = [];
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push('page must be a whole number of 1 or more');
+  }
+
+  // Oversized pages are cut down to the maximum rather than rejected
+  const requestedLimit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+    errors.push('limit must be a whole number of 1 or more');
+  }
+  const limit = Math.min(requestedLimit, MAX_PAGE_SIZE);
+
+  return { errors, page, limit, offset: (page - 1) * limit };
+};
+
+// Build everything a paged list query needs from the request's query string:
+// the WHERE clause (with any conditions the route always applies), ORDER BY
+// and paging. Sorting falls back to id so pages never overlap.
+const buildListQuery = (list, query, { conditions: baseConditions = [], params: baseParams = [] } = {}) => {
+  const { conditions, params, errors } = buildFilters(list, query);
+
+  const sort = query.sort || list.defaultSort;
+  if (!list.sortable.includes(sort)) {
+    errors.push(`sort must be one of: ${list.sortable.join(', ')}`);
+  }
+
+  const order = String(query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push('order must be asc or desc');
+  }
+
+  const paging = readPaging(query);
+  const allConditions = [...baseConditions, ...conditions];
+
+  return {
+    errors: [...errors, ...paging.errors],
+    where: allConditions.length > 0 ? `WHERE ${allConditions.join(' AND ')}` : '',
+    params: [...baseParams, ...params],
+    orderBy: `ORDER BY ${sort} ${order.toUpperCase()}, id ${order.toUpperCase()}`,
+    page: paging.page,
+    limit: paging.limit,
+    offset: paging.offset
+  };
+};
+
+const paginate = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  STUDENT_LIST,
+  MESSAGE_LIST,
+  STUDENT_RECORD_LIST,
+  AUDIT_LOG_LIST,
+  buildFilters,
+  readPaging,
+  buildListQuery,
+  paginate
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+const fs = require('fs');
+const { getGlobals, render, renderEmail } = require('./emailTemplates');
+const { queueEmail, queueSms } = require('./outbox');
+const { isSmsEnabled } = require('./sms');
+
+// Text message versions of the family notifications, one file per template
+const smsTemplatesDir = path.join(__dirname, '..', 'templates', 'sms');
+
+const renderSms = async (name, data) => {
+  const template = await fs.promises.readFile(path.join(smsTemplatesDir, `${name}.txt`), 'utf8');
+  return render(template, { ...data, ...getGlobals() }).trim();
+};
+
+// Send a notification to a family on every channel they can be reached on:
+// email when they gave an address and SMS when they gave a phone number.
+// Returns the channels it was queued on. A failure on one channel doesn't
+// stop the others.
+const notifyFamily = async ({ email, phone }, name, data) => {
+  const channels = [];
+
+  if (email) {
+    try {
+      await queueEmail({ to: email, ...await renderEmail(name, data) });
+      channels.push('email');
+    } catch (error) {
+      console.error(`Failed to queue ${name} email:`, error);
+    }
+  }
+
+  if (phone && isSmsEnabled()) {
+    try {
+      await queueSms({ to: phone, message: await renderSms(name, data) });
+      channels.push('sms');
+    } catch (error) {
+      console.error(`Failed to queue ${name} SMS:`, error);
+    }
+  }
+
+  return channels;
+};
+
+module.exports = {
+  renderSms,
+  notifyFamily
+};
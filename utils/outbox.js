@@ -0,0 +1,183 @@
+const db = require('../config/database');
+const { sendEmail } = require('./email');
+const { sendSms } = require('./sms');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+const OUTBOX_CHANNELS = ['email', 'sms'];
+
+const maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const retryBaseSeconds = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+const pollIntervalMs = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 5000;
+const BATCH_SIZE = 20;
+
+// Pause between sends so large batches such as announcements stay within the
+// mail server's rate limits. Read on each run so it can be changed in tests.
+const sendDelayMs = () => (process.env.EMAIL_SEND_DELAY_MS !== undefined
+  ? parseInt(process.env.EMAIL_SEND_DELAY_MS) || 0
+  : 1000);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let processing = null;
+let timer = null;
+let lastSentAt = 0;
+
+// Process the outbox on the next tick, outside the caller's transaction
+const scheduleProcessing = () => setImmediate(() => {
+  db.detach(processOutbox).catch(error => console.error('Email outbox error:', error));
+});
+
+// Store an email for the background worker to deliver. Callers don't wait
+// for SMTP, and failed deliveries are retried instead of lost.
+const queueEmail = async ({ to, subject, text, html }) => {
+  const result = await db.run(
+    'INSERT INTO email_outbox (to_address, subject, text_body, html_body) VALUES (?, ?, ?, ?)',
+    [to, subject, text || null, html || null]
+  );
+
+  // Deliver soon without holding up the caller
+  scheduleProcessing();
+
+  return result.id;
+};
+
+// Store a text message for the background worker to deliver, with the same
+// retries as email
+const queueSms = async ({ to, message }) => {
+  const result = await db.run(
+    `INSERT INTO email_outbox (channel, to_address, subject, text_body) VALUES ('sms', ?, '', ?)`,
+    [to, message]
+  );
+
+  scheduleProcessing();
+
+  return result.id;
+};
+
+// Record a failed attempt, backing off exponentially (1, 2, 4, 8... times the
+// base delay) until the email runs out of attempts and is dead-lettered
+const recordFailure = async (email, error) => {
+  const attempts = email.attempts + 1;
+
+  if (attempts >= maxAttempts) {
+    await db.run(
+      `UPDATE email_outbox SET status = 'dead', attempts = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [attempts, error.message, email.id]
+    );
+    console.error(`Email ${email.id} to ${email.to_address} failed ${attempts} times and was dead-lettered`);
+    return;
+  }
+
+  const delaySeconds = retryBaseSeconds * Math.pow(2, attempts - 1);
+  await db.run(
+    `UPDATE email_outbox
+     SET status = 'pending', attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [attempts, error.message, `+${delaySeconds} seconds`, email.id]
+  );
+};
+
+const deliver = async (email) => {
+  // Claim the email so it can't be picked up twice
+  const claim = await db.run(
+    `UPDATE email_outbox SET status = 'sending', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'`,
+    [email.id]
+  );
+  if (claim.changes === 0) return;
+
+  try {
+    if (email.channel === 'sms') {
+      await sendSms({ to: email.to_address, message: email.text_body });
+    } else {
+      await sendEmail({
+        to: email.to_address,
+        subject: email.subject,
+        text: email.text_body || undefined,
+        html: email.html_body || undefined
+      });
+    }
+    await db.run(
+      `UPDATE email_outbox SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [email.id]
+    );
+  } catch (error) {
+    await recordFailure(email, error);
+  }
+};
+
+// Send every email that is due, one at a time with a pause between sends.
+// Overlapping calls share the run in progress.
+const processOutbox = () => {
+  if (!processing) {
+    processing = (async () => {
+      try {
+        const delayMs = sendDelayMs();
+        let due;
+        do {
+          due = await db.all(
+            `SELECT * FROM email_outbox
+             WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+             ORDER BY next_attempt_at, id LIMIT ?`,
+            [BATCH_SIZE]
+          );
+          for (const email of due) {
+            // The pause carries over between runs, so emails queued one by
+            // one are spaced out as well
+            const pauseMs = lastSentAt + delayMs - Date.now();
+            if (pauseMs > 0) {
+              await wait(pauseMs);
+            }
+            await deliver(email);
+            lastSentAt = Date.now();
+          }
+        } while (due.length === BATCH_SIZE);
+      } finally {
+        processing = null;
+      }
+    })();
+  }
+  return processing;
+};
+
+// Put a dead or retrying email back at the front of the queue with fresh attempts
+const resendEmail = async (id) => {
+  const result = await db.run(
+    `UPDATE email_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND (status = 'dead' OR (status = 'pending' AND attempts > 0))`,
+    [id]
+  );
+
+  if (result.changes > 0) {
+    scheduleProcessing();
+  }
+  return result.changes > 0;
+};
+
+// Start polling the outbox. Emails left mid-send by a crash are retried.
+const startEmailWorker = async () => {
+  await db.run(`UPDATE email_outbox SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'sending'`);
+
+  timer = setInterval(() => {
+    processOutbox().catch(error => console.error('Email outbox error:', error));
+  }, pollIntervalMs);
+  timer.unref();
+
+  console.log('📧 Email outbox worker started');
+};
+
+const stopEmailWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  OUTBOX_STATUSES,
+  OUTBOX_CHANNELS,
+  queueEmail,
+  queueSms,
+  processOutbox,
+  resendEmail,
+  startEmailWorker,
+  stopEmailWorker
+};
@@ -0,0 +1,99 @@
+const db = require('../config/database');
+const { getTermById, getSectionFees } = require('./terms');
+
+// Amount owed for one billing period based on the student's payment plan
+const getFeeDue = (student, fees) => {
+  if (!fees) return null;
+  return student.payment_plan === 'Annual Plan' ? fees.fee_annual : fees.fee_termly;
+};
+
+// Format an amount in naira for emails and messages, e.g. ₦45,000
+const formatCurrency = (amount) => `₦${Number(amount).toLocaleString()}`;
+
+// Work out a payment status from the amount paid against the amount due
+const derivePaymentStatus = (amountPaid, amountDue) => {
+  if (amountPaid <= 0) return 'unpaid';
+  if (amountDue !== null && amountPaid >= amountDue) return 'paid';
+  return 'partial';
+};
+
+// Total of a student's confirmed payments towards a term's fees. The annual
+// fee covers the whole session, so for annual plans payments made in any of
+// the session's terms count.
+const getAmountPaid = async (student, academicTerm, term) => {
+  const { total } = student.payment_plan === 'Annual Plan' && term
+    ? await db.get(
+      `SELECT COALESCE(SUM(amount), 0) as total
+       FROM payments
+       WHERE student_id = ? AND status = 'confirmed'
+         AND term_id IN (SELECT id FROM terms WHERE session_id = ?)`,
+      [student.id, term.session_id]
+    )
+    : await db.get(
+      `SELECT COALESCE(SUM(amount), 0) as total
+       FROM payments
+       WHERE student_id = ? AND status = 'confirmed' AND IFNULL(academic_term, '') = IFNULL(?, '')`,
+      [student.id, academicTerm]
+    );
+  return total;
+};
+
+// Summarise confirmed payments for a student in a given academic term.
+// When the term is a known term, fees set for its session take priority.
+const getTermSummary = async (student, academicTerm, termId = null) => {
+  const section = await db.get('SELECT * FROM sections WHERE name = ?', [student.section]);
+  const term = termId ? await getTermById(termId) : null;
+  const fees = section ? await getSectionFees(section, term && term.session_id) : null;
+  const total = await getAmountPaid(student, academicTerm, term);
+
+  const amountDue = getFeeDue(student, fees);
+
+  return {
+    academic_term: academicTerm,
+    term_id: term ? term.id : null,
+    amount_due: amountDue,
+    amount_paid: total,
+    balance: amountDue !== null ? Math.max(amountDue - total, 0) : null,
+    payment_status: derivePaymentStatus(total, amountDue)
+  };
+};
+
+// Recalculate and store a student's payment status for the given term
+const refreshPaymentStatus = async (studentId, academicTerm, termId = null) => {
+  const student = await db.get('SELECT * FROM students WHERE id = ?', [studentId]);
+  if (!student) return null;
+
+  const summary = await getTermSummary(student, academicTerm, termId);
+
+  await db.run(
+    'UPDATE students SET payment_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [summary.payment_status, studentId]
+  );
+
+  return summary;
+};
+
+// All of a student's payments with one summary per term they have paid in
+const getPaymentHistory = async (student) => {
+  const payments = await db.all(
+    'SELECT * FROM payments WHERE student_id = ? ORDER BY payment_date DESC',
+    [student.id]
+  );
+
+  const terms = new Map(payments.map(payment => [payment.academic_term, payment.term_id]));
+  const termSummaries = [];
+  for (const [academicTerm, termId] of terms) {
+    termSummaries.push(await getTermSummary(student, academicTerm, termId));
+  }
+
+  return { terms: termSummaries, payments };
+};
+
+module.exports = {
+  getFeeDue,
+  formatCurrency,
+  derivePaymentStatus,
+  getTermSummary,
+  getPaymentHistory,
+  refreshPaymentStatus
+};
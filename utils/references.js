@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Letters and digits that are hard to confuse when read out over the phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 10;
+
+// Random registration reference such as MBU-7KQ2XH9MDA. Families quote it
+// instead of the sequential student id, which anyone could guess.
+const generateReferenceCode = () => {
+  const bytes = crypto.randomBytes(REFERENCE_LENGTH);
+  const code = Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+  return `MBU-${code}`;
+};
+
+// Compare phone numbers by their digits so spacing and punctuation don't matter
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+const phonesMatch = (a, b) => normalizePhone(a) !== '' && normalizePhone(a) === normalizePhone(b);
+
+module.exports = {
+  generateReferenceCode,
+  normalizePhone,
+  phonesMatch
+};
@@ -0,0 +1,38 @@
+const { body } = require('express-validator');
+const db = require('../config/database');
+
+// Validation rules for registration, shared by the public form and the
+// admin import. The field names are the registration form's.
+const registrationValidation = [
+  body('parentName').trim().isLength({ min: 2, max: 100 }).withMessage('Parent name must be between 2-100 characters'),
+  body('phone').isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('email').optional().isEmail().withMessage('Please provide a valid email address'),
+  body('studentName').trim().isLength({ min: 2, max: 100 }).withMessage('Student name must be between 2-100 characters'),
+  body('studentAge').isInt({ min: 3, max: 30 }).withMessage('Student age must be between 3-30 years'),
+  body('section').trim().notEmpty().withMessage('Please select a valid section'),
+  body('paymentPlan').isIn(['Termly Plan', 'Annual Plan']).withMessage('Please select a valid payment plan'),
+  body('comments').optional().isLength({ max: 500 }).withMessage('Comments must not exceed 500 characters')
+];
+
+// A registration counts as a duplicate when the same parent has already
+// registered a student with the same name from the same phone number
+const findDuplicateRegistration = (studentName, parentName, phone) => db.get(
+  'SELECT id FROM students WHERE student_name = ? AND parent_name = ? AND phone = ?',
+  [studentName, parentName, phone]
+);
+
+// Check a student's age against the section's age range, where it has one.
+// Returns a message for students outside it, or null.
+const checkSectionAge = (section, age) => {
+  const { name, age_min: min, age_max: max } = section;
+  if ((min === null || Number(age) >= min) && (max === null || Number(age) <= max)) return null;
+
+  if (min !== null && max !== null) return `${name} is for students aged ${min}-${max}`;
+  return min !== null ? `${name} is for students aged ${min} and over` : `${name} is for students aged ${max} and under`;
+};
+
+module.exports = {
+  registrationValidation,
+  findDuplicateRegistration,
+  checkSectionAge
+};
@@ -0,0 +1,97 @@
+const db = require('../config/database');
+const { escapeHtml } = require('./html');
+
+// highlight() can't escape HTML, so matches are marked with control
+// characters first and turned into <mark> tags after escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const toHighlightHtml = (text) => escapeHtml(text)
+  .split(MATCH_START).join('<mark>')
+  .split(MATCH_END).join('</mark>');
+
+// What can be searched, the columns of each search index in order, and the
+// long columns that are cut down to the part around the match
+const SEARCH_TYPES = {
+  students: {
+    permission: 'registrations:read',
+    table: 'students',
+    index: 'students_fts',
+    columns: ['student_name', 'parent_name', 'phone', 'email', 'comments'],
+    snippets: ['comments'],
+    fields: ['id', 'reference_code', 'student_name', 'parent_name', 'phone', 'email', 'section', 'status', 'created_at']
+  },
+  messages: {
+    permission: 'messages:read',
+    table: 'contact_messages',
+    index: 'contact_messages_fts',
+    columns: ['name', 'email', 'phone', 'subject', 'message'],
+    snippets: ['message'],
+    fields: ['id', 'name', 'email', 'phone', 'subject', 'status', 'created_at']
+  }
+};
+
+// Turn what was typed into an FTS5 query. Every word must match the start
+// of a word in the record, so "ais 0803" finds Aisha with a 0803 number.
+// Punctuation is dropped so it can't be read as query syntax.
+const buildMatchQuery = (text) => {
+  const words = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.slice(0, 10).map(word => `"${word}"*`).join(' ');
+};
+
+// Best matches first, with the matching words highlighted in each field
+// that matched
+const searchType = async (type, match, limit) => {
+  const { table, index, columns, snippets, fields } = SEARCH_TYPES[type];
+
+  const highlights = columns.map((column, i) => snippets.includes(column)
+    ? `snippet(${index}, ${i}, ?, ?, '…', 16) as hl_${column}`
+    : `highlight(${index}, ${i}, ?, ?) as hl_${column}`
+  );
+  const markerParams = columns.flatMap(() => [MATCH_START, MATCH_END]);
+
+  const rows = await db.all(
+    `SELECT ${fields.map(field => `t.${field}`).join(', ')}, ${highlights.join(', ')}
+     FROM ${index}
+     JOIN ${table} t ON t.id = ${index}.rowid
+     WHERE ${index} MATCH ?
+     ORDER BY rank
+     LIMIT ?`,
+    [...markerParams, match, limit]
+  );
+  const { total } = await db.get(`SELECT COUNT(*) as total FROM ${index} WHERE ${index} MATCH ?`, [match]);
+
+  return {
+    total,
+    results: rows.map(row => {
+      const result = { highlights: {} };
+      for (const field of fields) result[field] = row[field];
+      for (const column of columns) {
+        const text = row[`hl_${column}`];
+        if (text && text.includes(MATCH_START)) {
+          result.highlights[column] = toHighlightHtml(text);
+        }
+      }
+      return result;
+    })
+  };
+};
+
+// Search each of the given types. Returns null when the text has nothing
+// searchable in it.
+const search = async (text, types, limit) => {
+  const match = buildMatchQuery(text);
+  if (!match) return null;
+
+  const results = {};
+  for (const type of types) {
+    results[type] = await searchType(type, match, limit);
+  }
+  return results;
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  buildMatchQuery,
+  search
+};
@@ -0,0 +1,63 @@
+const path = require('path');
+const fs = require('fs');
+
+// SMS providers. A provider is an object with send({ to, message }) that
+// resolves once the message has been accepted and throws if it wasn't, so
+// the outbox can retry it. Pick one with SMS_PROVIDER; SMS is off when unset.
+const providers = {
+  // Print messages instead of sending them, for local development
+  console: {
+    async send({ to, message }) {
+      console.log(`📱 SMS to ${to}: ${message}`);
+    }
+  },
+
+  // Append messages to a file as JSON lines, for tests
+  file: {
+    async send({ to, message }) {
+      const file = path.resolve(process.env.SMS_LOG_FILE || './storage/sms.log');
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ to, message, sent_at: new Date().toISOString() }) + '\n');
+    }
+  },
+
+  // POST each message as JSON to an SMS gateway's API
+  http: {
+    async send({ to, message }) {
+      const response = await fetch(process.env.SMS_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${process.env.SMS_API_KEY}`
+        },
+        body: JSON.stringify({ to, from: process.env.SMS_SENDER_ID, message })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}: ${(await response.text()).slice(0, 200)}`);
+      }
+    }
+  }
+};
+
+// Add a provider, e.g. a client for a specific gateway's API
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const isSmsEnabled = () => Boolean(process.env.SMS_PROVIDER);
+
+const sendSms = async ({ to, message }) => {
+  const provider = providers[process.env.SMS_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${process.env.SMS_PROVIDER}`);
+  }
+
+  await provider.send({ to, message });
+};
+
+module.exports = {
+  registerSmsProvider,
+  isSmsEnabled,
+  sendSms
+};
@@ -0,0 +1,182 @@
+const { validationResult } = require('express-validator');
+const db = require('../config/database');
+const { registrationValidation, findDuplicateRegistration, checkSectionAge } = require('./registrations');
+const { ENROLLED_STATUS } = require('./enrollment');
+const { getCurrentTerm } = require('./terms');
+const { generateReferenceCode } = require('./references');
+
+// Registration fields an import can fill, and the column headings each is
+// recognised by. Headings are compared without case, spaces or punctuation,
+// so "Student Name", "student_name" and "studentName" all match.
+const IMPORT_FIELDS = {
+  studentName: ['student name', 'student', 'pupil name', 'pupil', 'name'],
+  studentAge: ['student age', 'age'],
+  parentName: ['parent name', 'parent', 'guardian name', 'guardian'],
+  phone: ['phone', 'phone number', 'parent phone'],
+  email: ['email', 'email address', 'parent email'],
+  section: ['section', 'class'],
+  paymentPlan: ['payment plan', 'plan'],
+  comments: ['comments', 'notes']
+};
+
+const REQUIRED_FIELDS = ['studentName', 'studentAge', 'parentName', 'phone', 'section', 'paymentPlan'];
+
+const normalizeHeading = (heading) => String(heading).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const headingAliases = new Map(Object.entries(IMPORT_FIELDS).flatMap(([field, aliases]) =>
+  [field, ...aliases].map(alias => [normalizeHeading(alias), field])
+));
+
+// Work out which field each column fills. `mapping` can name the field for
+// headings that aren't recognised, e.g. { "Child": "studentName" }.
+const mapColumns = (headings, mapping = {}) => {
+  const custom = new Map(Object.entries(mapping).map(([heading, field]) => [normalizeHeading(heading), field]));
+  const columns = headings.map(heading => {
+    const key = normalizeHeading(heading);
+    const field = custom.has(key) ? custom.get(key) : headingAliases.get(key);
+    return Object.prototype.hasOwnProperty.call(IMPORT_FIELDS, field) ? field : null;
+  });
+
+  const mapped = columns.filter(Boolean);
+  return {
+    columns,
+    missing: REQUIRED_FIELDS.filter(field => !mapped.includes(field)),
+    duplicated: [...new Set(mapped.filter((field, index) => mapped.indexOf(field) !== index))],
+    ignored: headings.filter((heading, index) => !columns[index])
+  };
+};
+
+// Spreadsheets often shorten the plan names, so accept "Termly" and "Annual"
+const normalizePaymentPlan = (plan) => {
+  const match = ['Termly Plan', 'Annual Plan'].find(name =>
+    [name.toLowerCase(), name.split(' ')[0].toLowerCase()].includes(plan.toLowerCase())
+  );
+  return match || plan;
+};
+
+// Turn a CSV row into registration form fields. Empty optional cells are
+// left out so they pass validation the same way a blank form field does.
+const rowToFields = (row, columns) => {
+  const fields = {};
+  columns.forEach((field, index) => {
+    const value = (row[index] || '').trim();
+    if (field && value !== '') fields[field] = value;
+  });
+  if (fields.paymentPlan) fields.paymentPlan = normalizePaymentPlan(fields.paymentPlan);
+  return fields;
+};
+
+// Check every row against the registration rules, the active sections, their
+// age ranges and free seats, existing registrations and the rows above it. Row
+// numbers count the heading as row 1, as a spreadsheet does.
+const validateRows = async (rows, columns) => {
+  const sections = await db.all('SELECT name, capacity, current_enrollment, age_min, age_max FROM sections WHERE is_active = 1');
+  const seatsLeft = new Map(sections.map(section => [section.name.toLowerCase(), {
+    ...section,
+    seats: Math.max(section.capacity - section.current_enrollment, 0)
+  }]));
+  const seen = new Set();
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const request = { body: rowToFields(row, columns) };
+    for (const rule of registrationValidation) {
+      await rule.run(request);
+    }
+
+    const fields = request.body;
+    const errors = validationResult(request).array().map(error => ({ field: error.path, message: error.msg }));
+
+    const section = fields.section && seatsLeft.get(fields.section.toLowerCase());
+    if (fields.section && !section) {
+      errors.push({ field: 'section', message: `Section "${fields.section}" does not exist or is not active` });
+    }
+
+    const ageError = section && errors.length === 0 ? checkSectionAge(section, fields.studentAge) : null;
+    if (ageError) {
+      errors.push({ field: 'studentAge', message: ageError });
+    }
+
+    const key = [fields.studentName, fields.parentName, fields.phone].join('\n');
+    if (errors.length === 0) {
+      if (seen.has(key)) {
+        errors.push({ field: 'studentName', message: 'This student appears more than once in the file' });
+      } else if (await findDuplicateRegistration(fields.studentName, fields.parentName, fields.phone)) {
+        errors.push({ field: 'studentName', message: 'A student with this information is already registered' });
+      }
+    }
+
+    // Only rows that are otherwise valid take up a seat
+    if (errors.length === 0) {
+      if (section.seats === 0) {
+        errors.push({ field: 'section', message: `${section.name} has no seats left` });
+      } else {
+        section.seats--;
+        fields.section = section.name;
+      }
+    }
+
+    seen.add(key);
+    results.push({ row: index + 2, fields, errors });
+  }
+
+  return results;
+};
+
+const summarize = (results) => {
+  const invalid = results.filter(result => result.errors.length > 0);
+  return {
+    total_rows: results.length,
+    valid_rows: results.length - invalid.length,
+    invalid_rows: invalid.length,
+    errors: invalid.map(({ row, errors }) => ({ row, errors }))
+  };
+};
+
+// Validate the rows and, unless any fail, add them all as enrolled students
+// and take their seats. Runs in one transaction, so either every row is
+// imported or none are.
+const importStudents = (rows, columns) => db.transaction(async (tx) => {
+  const results = await validateRows(rows, columns);
+  const report = summarize(results);
+  if (report.invalid_rows > 0) return { imported: false, report };
+
+  const currentTerm = await getCurrentTerm();
+  const students = [];
+
+  for (const { row, fields } of results) {
+    const referenceCode = generateReferenceCode();
+    const result = await tx.run(
+      `INSERT INTO students (student_name, student_age, parent_name, phone, email, section, payment_plan, comments, status, term_id, reference_code)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [fields.studentName, fields.studentAge, fields.parentName, fields.phone, fields.email || null, fields.section,
+        fields.paymentPlan, fields.comments || null, ENROLLED_STATUS, currentTerm ? currentTerm.id : null, referenceCode]
+    );
+    students.push({ row, id: result.id, student_name: fields.studentName, section: fields.section, reference_code: referenceCode });
+  }
+
+  const counts = {};
+  for (const student of students) {
+    counts[student.section] = (counts[student.section] || 0) + 1;
+  }
+  for (const [section, count] of Object.entries(counts)) {
+    await tx.run(
+      `UPDATE sections SET current_enrollment = current_enrollment + ?, updated_at = CURRENT_TIMESTAMP
+       WHERE name = ?`,
+      [count, section]
+    );
+  }
+
+  return { imported: true, report, students };
+});
+
+// Validate the rows without saving anything
+const checkStudents = async (rows, columns) => summarize(await validateRows(rows, columns));
+
+module.exports = {
+  IMPORT_FIELDS,
+  REQUIRED_FIELDS,
+  mapColumns,
+  checkStudents,
+  importStudents
+};
@@ -0,0 +1,104 @@
+const db = require('../config/database');
+const { ENROLLED_STATUS, applyStatusChange, fillFromWaitlist } = require('./enrollment');
+
+// enrolled pupils hold a seat in their section; the others have left
+const RECORD_STATUSES = ['enrolled', 'withdrawn', 'transferred', 'graduated'];
+
+// Registration status a pupil's application moves to when they leave, which
+// frees their seat. Pupils who transfer to another school are withdrawn.
+const LEAVING_REGISTRATION_STATUSES = {
+  withdrawn: 'withdrawn',
+  transferred: 'withdrawn',
+  graduated: 'graduated'
+};
+
+// Profile fields that can be set when enrolling and edited afterwards
+// (request field -> column)
+const PROFILE_FIELDS = {
+  fullName: 'full_name',
+  dateOfBirth: 'date_of_birth',
+  gender: 'gender',
+  classPlacement: 'class_placement',
+  guardianName: 'guardian_name',
+  guardianPhone: 'guardian_phone',
+  guardianEmail: 'guardian_email',
+  guardianAddress: 'guardian_address',
+  medicalNotes: 'medical_notes'
+};
+
+const admissionPrefix = process.env.ADMISSION_NUMBER_PREFIX || 'MBU';
+
+// Next admission number for the year a pupil is enrolled, e.g. MBU/2026/0007.
+// Must run inside the enrolling transaction so two enrollments can't take
+// the same number.
+const nextAdmissionNumber = async (enrolledOn) => {
+  const base = `${admissionPrefix}/${String(enrolledOn).slice(0, 4)}/`;
+  const { last } = await db.get(
+    `SELECT MAX(CAST(SUBSTR(admission_number, ?) AS INTEGER)) as last
+     FROM student_records WHERE SUBSTR(admission_number, 1, ?) = ?`,
+    [base.length + 1, base.length, base]
+  );
+  return base + String((last || 0) + 1).padStart(4, '0');
+};
+
+const getRecord = (id) => db.get('SELECT * FROM student_records WHERE id = ?', [id]);
+
+const getRecordByRegistration = (registrationId) => db.get(
+  'SELECT * FROM student_records WHERE registration_id = ?',
+  [registrationId]
+);
+
+// Mark an enrolled pupil as having left the school, free their seat and
+// offer it to the section's waitlist. Returns the outcome and the waitlisted
+// registrations that were promoted.
+const leaveSchool = (record, status, { leftOn, reason, transferredTo = null }) => db.transaction(async (tx) => {
+  const left = await tx.run(
+    `UPDATE student_records
+     SET status = ?, left_on = ?, leaving_reason = ?, transferred_to = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'enrolled'`,
+    [status, leftOn, reason || null, transferredTo, record.id]
+  );
+  if (left.changes === 0) return { outcome: 'not_enrolled' };
+
+  const registrationStatus = LEAVING_REGISTRATION_STATUSES[status];
+  await applyStatusChange(record.section, ENROLLED_STATUS, registrationStatus);
+  await tx.run(
+    'UPDATE students SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [registrationStatus, record.registration_id]
+  );
+
+  return { outcome: 'left', promoted: await fillFromWaitlist(record.section) };
+});
+
+// Move an enrolled pupil to another section if it has a seat free, and
+// offer the seat they leave to the old section's waitlist. Returns the
+// outcome and the waitlisted registrations that were promoted.
+const transferSection = (record, sectionName, classPlacement) => db.transaction(async (tx) => {
+  const current = await tx.get('SELECT status, section FROM student_records WHERE id = ?', [record.id]);
+  if (current.status !== 'enrolled' || current.section !== record.section) return { outcome: 'not_enrolled' };
+
+  const seatAvailable = await applyStatusChange(sectionName, null, ENROLLED_STATUS);
+  if (!seatAvailable) return { outcome: 'full' };
+
+  await applyStatusChange(record.section, ENROLLED_STATUS, null);
+  await tx.run(
+    'UPDATE student_records SET section = ?, class_placement = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [sectionName, classPlacement || null, record.id]
+  );
+  await tx.run(
+    'UPDATE students SET section = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [sectionName, record.registration_id]
+  );
+
+  return { outcome: 'moved', promoted: await fillFromWaitlist(record.section) };
+});
+
+module.exports = {
+  RECORD_STATUSES,
+  PROFILE_FIELDS,
+  nextAdmissionNumber,
+  getRecord,
+  getRecordByRegistration,
+  leaveSchool,
+  transferSection
+};
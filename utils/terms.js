@@ -0,0 +1,55 @@
+const db = require('../config/database');
+
+const TERM_FIELDS = `
+  t.*,
+  s.name as session_name,
+  s.name || ' ' || t.name as label
+`;
+
+// Get the term currently marked as running, with its session
+const getCurrentTerm = async () => db.get(
+  `SELECT ${TERM_FIELDS}
+   FROM terms t
+   JOIN academic_sessions s ON s.id = t.session_id
+   WHERE t.is_current = 1`
+);
+
+// Get a term by ID, with its session
+const getTermById = async (id) => db.get(
+  `SELECT ${TERM_FIELDS}
+   FROM terms t
+   JOIN academic_sessions s ON s.id = t.session_id
+   WHERE t.id = ?`,
+  [id]
+);
+
+// Resolve a `term_id` query value, where 'current' means the running term.
+// Returns undefined when no term filter was asked for and null when the term does not exist.
+const resolveTermFilter = async (termId) => {
+  if (!termId) return undefined;
+  const term = termId === 'current' ? await getCurrentTerm() : await getTermById(termId);
+  return term || null;
+};
+
+// Fees for a section in a session, falling back to the section's default fees
+const getSectionFees = async (section, sessionId) => {
+  if (sessionId) {
+    const fees = await db.get(
+      'SELECT fee_termly, fee_annual FROM section_fees WHERE section_id = ? AND session_id = ?',
+      [section.id, sessionId]
+    );
+    if (fees) return fees;
+  }
+
+  return {
+    fee_termly: section.fee_termly,
+    fee_annual: section.fee_annual
+  };
+};
+
+module.exports = {
+  getCurrentTerm,
+  getTermById,
+  resolveTermFilter,
+  getSectionFees
+};